@@ -0,0 +1,199 @@
+/**
+ * @typedef {import('./canvas.js').CanvasWidget} CanvasWidget
+ */
+
+/**
+ * Styles that hide an element from view, but not from screen readers.
+ */
+const VISUALLY_HIDDEN = { position: 'absolute', width: '1px', height: '1px', margin: '-1px', padding: '0', border: '0', overflow: 'hidden', clip: 'rect(0 0 0 0)', clipPath: 'inset(50%)', whiteSpace: 'nowrap' }
+
+/**
+ * Time (in milliseconds) between clearing a live region and writing an announcement to it. Screen readers only announce changes, so clearing the region first makes repeated messages heard.
+ */
+const ANNOUNCE_DELAY = 100
+
+/**
+ * Accessibility tree. Mirrors canvas widgets as hidden DOM elements, which screen readers can find, read and operate, and announces messages through live regions.
+ *
+ * Buttons are mirrored as `<button>` elements, toggles as switches and sliders as ARIA sliders. Text inputs already receive keyboard input through an input element, which is moved into the tree.
+ *
+ * Mirror elements are not in the tab order of the page: the canvas moves keyboard focus between widgets, and focuses their mirror elements so screen readers follow along.
+ *
+ * @param {Element} container Element the tree is added to
+ * @param {{onFocus: (widget: CanvasWidget) => void, onClick: (widget: CanvasWidget, e: MouseEvent) => void}} callbacks `onFocus`: Called when a mirror element is focused by the browser or a screen reader. `onClick`: Called when a mirror element is clicked, e.g. activated with a screen reader.
+ */
+export default function AccessibilityTree( container, { onFocus, onClick } ) {
+	const root = document.createElement( 'div' )
+	const controls = document.createElement( 'div' )
+	const politeRegion = createLiveRegion( 'polite' )
+	const assertiveRegion = createLiveRegion( 'assertive' )
+
+	/** @type {Map<CanvasWidget, HTMLElement>} */
+	const elements = new Map()
+
+	/** @type {Map<HTMLElement, ReturnType<typeof setTimeout>>} */
+	const announceTimers = new Map()
+
+	Object.assign( root.style, VISUALLY_HIDDEN )
+	root.append( controls, politeRegion, assertiveRegion )
+	container.appendChild( root )
+
+	const api = {
+		/**
+		 * Get the mirror element of a widget.
+		 *
+		 * @param {CanvasWidget} widget
+		 */
+		getElement( widget ) {
+			return elements.get( widget )
+		},
+
+		/**
+		 * Create a mirror element for a widget. The element is hidden until the tree is updated.
+		 *
+		 * @param {CanvasWidget} widget
+		 */
+		add( widget ) {
+			const element = createElement( widget )
+
+			element.hidden = true
+			element.addEventListener( 'focus', () => onFocus( widget ) )
+
+			if ( widget.type === 'Button' || widget.type === 'Toggle' ) {
+				element.addEventListener( 'click', ( e ) => onClick( widget, e ) )
+			}
+
+			elements.set( widget, element )
+			controls.appendChild( element )
+
+			return element
+		},
+
+		/**
+		 * @param {CanvasWidget} widget
+		 */
+		remove( widget ) {
+			elements.get( widget )?.remove()
+			elements.delete( widget )
+		},
+
+		/**
+		 * Update mirror elements to match their widgets: names, states and values, whether they are shown, and the order they are read in.
+		 *
+		 * @param {{widget: CanvasWidget, isShown: boolean}[]} widgets Widgets in reading order
+		 */
+		update( widgets ) {
+			widgets.forEach( ( { widget, isShown }, index ) => {
+				const element = elements.get( widget )
+
+				if ( ! element ) {
+					return
+				}
+
+				// Moving an element blurs it, so elements are only moved when the order has changed
+				if ( controls.children[ index ] !== element ) {
+					controls.insertBefore( element, controls.children[ index ] ?? null )
+				}
+
+				element.hidden = ! isShown
+
+				const label = widget.ariaLabel ?? ( 'label' in widget ? widget.label : undefined )
+
+				setAttribute( element, 'aria-label', label || ( widget.type === 'TextInput' ? undefined : widget.name ) )
+				setAttribute( element, 'aria-disabled', widget.disabled ? 'true' : undefined )
+
+				if ( widget.type === 'Toggle' ) {
+					setAttribute( element, 'aria-checked', String( widget.value ) )
+				}
+				else if ( widget.type === 'Slider' ) {
+					setAttribute( element, 'aria-valuemin', String( widget.min ) )
+					setAttribute( element, 'aria-valuemax', String( widget.max ) )
+					setAttribute( element, 'aria-valuenow', String( widget.value ) )
+				}
+			} )
+		},
+
+		/**
+		 * Announce a message to screen reader users.
+		 *
+		 * Polite messages are read when the screen reader is done speaking, assertive messages interrupt it. A new message replaces a message that has not been read yet.
+		 *
+		 * @param {string} message
+		 * @param {{assertive?: boolean}} options
+		 */
+		announce( message, { assertive = false } = {} ) {
+			const region = assertive ? assertiveRegion : politeRegion
+
+			clearTimeout( announceTimers.get( region ) )
+			region.textContent = ''
+
+			announceTimers.set( region, setTimeout( () => {
+				region.textContent = message
+			}, ANNOUNCE_DELAY ) )
+		},
+	}
+
+	return api
+}
+
+/**
+ * Create the mirror element of a widget.
+ *
+ * @param {CanvasWidget} widget
+ * @return {HTMLElement}
+ */
+function createElement( widget ) {
+	if ( widget.type === 'TextInput' ) {
+		return widget.element
+	}
+
+	if ( widget.type === 'Slider' ) {
+		const slider = document.createElement( 'div' )
+
+		slider.setAttribute( 'role', 'slider' )
+		slider.setAttribute( 'aria-orientation', 'horizontal' )
+		slider.tabIndex = -1
+
+		return slider
+	}
+
+	const button = document.createElement( 'button' )
+
+	button.type = 'button'
+	button.tabIndex = -1
+
+	if ( widget.type === 'Toggle' ) {
+		button.setAttribute( 'role', 'switch' )
+	}
+
+	return button
+}
+
+/**
+ * @param {'polite'|'assertive'} politeness
+ */
+function createLiveRegion( politeness ) {
+	const region = document.createElement( 'div' )
+
+	region.setAttribute( 'role', politeness === 'assertive' ? 'alert' : 'status' )
+	region.setAttribute( 'aria-live', politeness )
+	region.setAttribute( 'aria-atomic', 'true' )
+
+	return region
+}
+
+/**
+ * Set or remove an attribute, without touching the element if the value is unchanged.
+ *
+ * @param {HTMLElement} element
+ * @param {string} name
+ * @param {string} value Removes the attribute if `undefined`.
+ */
+function setAttribute( element, name, value ) {
+	if ( value === undefined ) {
+		element.removeAttribute( name )
+	}
+	else if ( element.getAttribute( name ) !== value ) {
+		element.setAttribute( name, value )
+	}
+}
@@ -0,0 +1,254 @@
+import { delay, fetchFile, loadFontFace, loadImage } from './utils.js'
+
+/**
+ * @typedef {'image'|'svg'|'json'|'text'|'font'|'audio'} AssetType
+ */
+
+/**
+ * Manifest entry.
+ *
+ * `image` assets (including SVG images) are loaded as `HTMLImageElement`, `svg` and `text` assets as text, `json` assets are parsed, `font` assets are loaded as `FontFace` objects (see `loadFontFace()`), and `audio` assets are loaded as `HTMLAudioElement`. Audio data stays in memory for the lifetime of the page.
+ *
+ * @typedef AssetEntry
+ * @property {string} name Name used to get the asset when it is loaded.
+ * @property {AssetType} type
+ * @property {string} [url] Required, except for fonts declared in CSS.
+ * @property {string} [family] Font family name. Default: the asset name.
+ * @property {FontFaceDescriptors} [descriptors] Font descriptors, e.g. `{ weight: 'bold' }`.
+ */
+
+/**
+ * @typedef {{asset: string, assetProgress: number, loaded: number, total: number, progress: number}} AssetProgress
+ */
+
+/**
+ * Loaders for each asset type. Loaders report download progress (0-1) when the file size is known.
+ *
+ * @type {{[Type in AssetType]: (asset: AssetEntry, signal: AbortSignal, onProgress: (progress: number) => void) => Promise<any>}}
+ */
+const LOADERS = {
+	async image( asset, signal, onProgress ) {
+		const objectUrl = URL.createObjectURL( await fetchBlob( asset.url, signal, onProgress ) )
+
+		try {
+			return await loadImage( objectUrl )
+		}
+		finally {
+			// Loaded images keep their data, so the URL is no longer needed
+			URL.revokeObjectURL( objectUrl )
+		}
+	},
+
+	async svg( asset, signal, onProgress ) {
+		return ( await fetchBlob( asset.url, signal, onProgress ) ).text()
+	},
+
+	async json( asset, signal, onProgress ) {
+		return JSON.parse( await ( await fetchBlob( asset.url, signal, onProgress ) ).text() )
+	},
+
+	async text( asset, signal, onProgress ) {
+		return ( await fetchBlob( asset.url, signal, onProgress ) ).text()
+	},
+
+	async font( asset ) {
+		return loadFontFace( asset.family ?? asset.name, asset.url, asset.descriptors )
+	},
+
+	async audio( asset, signal, onProgress ) {
+		const blob = await fetchBlob( asset.url, signal, onProgress )
+
+		// The attempt timed out while the file was read, and its result is discarded
+		signal.throwIfAborted()
+
+		// Audio elements read their data from the URL while they play, so the URL is kept for the lifetime of the page
+		return new Audio( URL.createObjectURL( blob ) )
+	},
+}
+
+/**
+ * Asset manager. Loads a manifest of assets, with progress reporting, timeouts and retries.
+ *
+ * Options:
+ *
+ * [timeout]: Time allowed for each attempt to load an asset, in milliseconds
+ *
+ * [retries]: Number of times to retry an asset that fails or times out
+ *
+ * [retryDelay]: Delay before the first retry, in milliseconds. The delay increases with each retry.
+ *
+ * [onProgress]: Called when the progress of an asset changes. `progress` is the overall progress (0-1).
+ *
+ * [onError]: Called when an asset has failed all attempts
+ *
+ * @example
+ * const assets = AssetManager( { onProgress: ( { progress } ) => bar.setSize( progress * 300, 10 ) } )
+ * const { failed } = await assets.load( [ { name: 'bee', type: 'image', url: 'sprites/bee.svg' } ] )
+ * canvas.addSprite( 'bug', assets.get( 'bee' ) )
+ *
+ * @param {{timeout?: number, retries?: number, retryDelay?: number, onProgress?: (progress: AssetProgress) => void, onError?: (asset: AssetEntry, error: Error) => void}} options
+ */
+export default function AssetManager( { timeout = 15000, retries = 2, retryDelay = 500, onProgress = undefined, onError = undefined } = {} ) {
+	/** @type {{[assetName: string]: any}} */
+	const assets = {}
+
+	/**
+	 * Load an asset, retrying until it succeeds or runs out of attempts.
+	 *
+	 * @param {AssetEntry} asset
+	 * @param {(progress: number) => void} setProgress
+	 */
+	async function loadAsset( asset, setProgress ) {
+		const loader = LOADERS[ asset.type ]
+
+		if ( ! loader ) {
+			throw new Error( `Unsupported asset type: ${ asset.type }` )
+		}
+
+		for ( let attempt = 0; ; attempt++ ) {
+			const controller = new AbortController()
+
+			try {
+				return await withTimeout( loader( asset, controller.signal, setProgress ), timeout, controller )
+			}
+			catch ( err ) {
+				if ( attempt >= retries ) {
+					throw err
+				}
+
+				setProgress( 0 )
+				await delay( retryDelay * ( attempt + 1 ) )
+			}
+		}
+	}
+
+	const api = {
+		/**
+		 * Load the assets in a manifest.
+		 *
+		 * Resolves when all assets have loaded or failed, with a list of the assets that failed.
+		 *
+		 * @param {AssetEntry[]} manifest
+		 * @return {Promise<{failed: {asset: AssetEntry, error: Error}[]}>}
+		 */
+		async load( manifest ) {
+			const progress = manifest.map( () => 0 )
+
+			/** @type {{asset: AssetEntry, error: Error}[]} */
+			const failed = []
+
+			/**
+			 * @param {number} index
+			 * @param {number} assetProgress
+			 */
+			const setProgress = ( index, assetProgress ) => {
+				progress[ index ] = assetProgress
+
+				onProgress?.( {
+					asset: manifest[ index ].name,
+					assetProgress,
+					loaded: progress.filter( ( p ) => p === 1 ).length,
+					total: manifest.length,
+					progress: progress.reduce( ( sum, p ) => sum + p, 0 ) / ( manifest.length || 1 ),
+				} )
+			}
+
+			await Promise.all( manifest.map( async( asset, index ) => {
+				try {
+					assets[ asset.name ] = await loadAsset( asset, ( assetProgress ) => setProgress( index, assetProgress ) )
+					setProgress( index, 1 )
+				}
+				catch ( err ) {
+					console.error( `Asset error: failed to load ${ asset.name } (${ asset.url ?? asset.family ?? asset.name }).`, err )
+					failed.push( { asset, error: err } )
+					onError?.( asset, err )
+				}
+			} ) )
+
+			return { failed }
+		},
+
+		/**
+		 * Get a loaded asset.
+		 *
+		 * @param {string} name
+		 */
+		get( name ) {
+			if ( ! ( name in assets ) ) {
+				console.error( `Asset error: asset not loaded (${ name }).` )
+			}
+
+			return assets[ name ]
+		},
+
+		/**
+		 * @param {string} name
+		 */
+		has( name ) {
+			return name in assets
+		},
+	}
+
+	return api
+}
+
+/**
+ * Fetch a file as a blob, reporting download progress if the size of the file is known.
+ *
+ * @param {string} url
+ * @param {AbortSignal} signal
+ * @param {(progress: number) => void} onProgress
+ */
+async function fetchBlob( url, signal, onProgress ) {
+	const response = await fetchFile( url, { signal } )
+	const size = Number( response.headers.get( 'Content-Length' ) )
+
+	if ( ! size || ! response.body ) {
+		return response.blob()
+	}
+
+	const reader = response.body.getReader()
+
+	/** @type {Uint8Array[]} */
+	const chunks = []
+	let received = 0
+
+	for ( ;; ) {
+		const { done, value } = await reader.read()
+
+		if ( done ) {
+			break
+		}
+
+		chunks.push( value )
+		received += value.length
+
+		// Compressed responses report the compressed size
+		onProgress( Math.min( received / size, 1 ) )
+	}
+
+	// @ts-ignore
+	return new Blob( chunks, { type: response.headers.get( 'Content-Type' ) ?? '' } )
+}
+
+/**
+ * Reject if a promise does not settle in time, and abort the request it belongs to.
+ *
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} ms
+ * @param {AbortController} controller
+ * @return {Promise<T>}
+ */
+function withTimeout( promise, ms, controller ) {
+	let timer
+
+	const timeout = new Promise( ( _, reject ) => {
+		timer = setTimeout( () => {
+			controller.abort()
+			reject( new Error( `Timed out after ${ ms }ms` ) )
+		}, ms )
+	} )
+
+	return Promise.race( [ promise, timeout ] ).finally( () => clearTimeout( timer ) )
+}
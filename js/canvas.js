@@ -1,4 +1,6 @@
-import { loadSvg, loadFile, randomInt, resolver } from './utils.js'
+import AccessibilityTree from './accessibility.js'
+import { EASINGS, interpolateColor } from './tween.js'
+import { importJson, loadFontFace, loadImage, loadSvg, loadFile, randomInt, resolver } from './utils.js'
 
 const log = console.log.bind( console )
 
@@ -11,6 +13,37 @@ const textDefaultStyles = {
 	textBaseline: 'top',
 }
 
+/**
+ * Widget (button, toggle, slider and text input) styles for each state (see `WidgetState`). Styles of the active states are applied on top of the normal style.
+ *
+ * @type {{[State in WidgetState]: WidgetStyle}}
+ */
+const widgetDefaultStyles = {
+	normal: {
+		fillStyle: 'rgb(60 60 60)',
+		strokeStyle: 'rgb(0 0 0 / 0)',
+		lineWidth: 0,
+		color: 'white',
+		accentColor: 'rgb(25 153 205)',
+		font: 'bold 20px sans-serif',
+	},
+	focused: {
+		outlineColor: 'white',
+		outlineWidth: 3,
+		outlineOffset: 4,
+	},
+	hover: {
+		fillStyle: 'rgb(90 90 90)',
+	},
+	pressed: {
+		fillStyle: 'rgb(30 30 30)',
+	},
+	disabled: {
+		fillStyle: 'rgb(130 130 130)',
+		color: 'rgb(200 200 200)',
+	},
+}
+
 /**
  * All canvas attributes that can be accepted by the component options parameter.
  *
@@ -27,47 +60,352 @@ const SHAPES = { rectangle: 'rectangle', circle: 'circle' }
 /**
  * Defined components.
  *
- * @type {{ Sprite: 'Sprite', Text: 'Text', Vector: 'Vector' }}
+ * @type {{ Button: 'Button', Group: 'Group', Slider: 'Slider', Sprite: 'Sprite', Text: 'Text', TextInput: 'TextInput', Toggle: 'Toggle', Vector: 'Vector' }}
+ */
+const COMPONENTS = { Button: 'Button', Group: 'Group', Slider: 'Slider', Sprite: 'Sprite', Text: 'Text', TextInput: 'TextInput', Toggle: 'Toggle', Vector: 'Vector' }
+
+/**
+ * Layout anchor points, as fractions of width and height.
+ */
+const ANCHORS = {
+	'top-left': [ 0, 0 ],
+	top: [ 0.5, 0 ],
+	'top-right': [ 1, 0 ],
+	left: [ 0, 0.5 ],
+	center: [ 0.5, 0.5 ],
+	right: [ 1, 0.5 ],
+	'bottom-left': [ 0, 1 ],
+	bottom: [ 0.5, 1 ],
+	'bottom-right': [ 1, 1 ],
+}
+
+/**
+ * Layout spec. Positions a component relative to the canvas, or to another component, whenever the canvas is rendered.
+ *
+ * @typedef {object} Layout
+ * @property {keyof typeof ANCHORS} [anchor] Point on the canvas (or reference component) the component is attached to. Default: `top-left`.
+ * @property {keyof typeof ANCHORS} [origin] Point on the component that is placed at the anchor. Default: same as `anchor`.
+ * @property {number|string} [x] Horizontal offset, in pixels or percent of the reference width (e.g. `'10%'`).
+ * @property {number|string} [y] Vertical offset, in pixels or percent of the reference height.
+ * @property {number|number[]} [margin] Space around the component, in CSS shorthand order (top, right, bottom, left). Pushes the component away from the edge it is aligned by.
+ * @property {string|{getBounds: () => {x: number, y: number, width: number, height: number}}} [relativeTo] Component (or component name) to position relative to, instead of the canvas.
+ */
+
+/**
+ * Passed to components instead of the canvas element. Components request a render when they change, and animated components request frames from the canvas animation clock.
+ *
+ * @typedef {{width: number, height: number, requestRender: () => void, requestFrame: (callback: (timeStamp: number) => void) => void}} Viewport
+ */
+
+/**
+ * Any component.
+ *
+ * @typedef {ReturnType<typeof Sprite> | ReturnType<typeof Text> | ReturnType<typeof Vector> | ReturnType<typeof Group> | ReturnType<typeof Button> | ReturnType<typeof Toggle> | ReturnType<typeof Slider> | ReturnType<typeof TextInput>} CanvasComponent
+ */
+
+/**
+ * Component transform. Applied when the component is rendered and hit tested, around the transform origin.
+ *
+ * @typedef {object} Transform
+ * @property {number} [opacity] Between 0 (transparent) and 1 (opaque). Multiplied with the opacity of parent groups.
+ * @property {number} [rotation] Clockwise rotation in radians.
+ * @property {number} [scaleX] Horizontal scale factor.
+ * @property {number} [scaleY] Vertical scale factor.
+ * @property {keyof typeof ANCHORS|[number, number]} [transformOrigin] Point that is fixed when the component is rotated or scaled: an anchor name, or fractions of the width and height. Default: `center`.
+ */
+
+/**
+ * Sprite sheet frame, in image pixels.
+ *
+ * @typedef {{name?: string, x: number, y: number, width: number, height: number}} SpriteFrame
+ */
+
+/**
+ * Sprite sheet. Either a grid of equally sized frames, numbered left to right and top to bottom, or a JSON atlas (TexturePacker hash or array format) given as a URL or an object.
+ *
+ * @typedef {{frameWidth: number, frameHeight: number, count?: number, margin?: number, spacing?: number} | {atlas: string|{frames: any}}} SpriteSheet
+ */
+
+/**
+ * How pointer events are matched to a sprite.
+ *
+ * `bounds`: Anywhere inside the sprite's box. `alpha`: Pixels that are not (mostly) transparent in the current frame. `shape`: Inside the hit shape attached to the sprite.
+ *
+ * @typedef {'bounds'|'alpha'|'shape'} HitMode
+ */
+
+/**
+ * Widget states, in the order their styles are applied. A widget can be in several states at once, e.g. focused and hovered.
+ *
+ * @typedef {'normal'|'focused'|'hover'|'pressed'|'disabled'} WidgetState
+ */
+
+/**
+ * Widget style. `fillStyle`, `strokeStyle`, `lineWidth` and shadows style the widget shape (e.g. the button, or the slider track), while `color` and `font` style labels, icons and text.
+ *
+ * `accentColor` marks the value of a widget: the track of a toggle that is on, the filled part of a slider, and selected text.
+ *
+ * `outlineColor`, `outlineWidth` and `outlineOffset` draw a ring outside the widget shape, like the CSS properties. Used to show keyboard focus.
+ *
+ * @typedef {Partial<Pick<CanvasRenderingContext2D, 'fillStyle' | 'strokeStyle' | 'lineWidth' | 'shadowColor' | 'shadowBlur' | 'shadowOffsetX' | 'shadowOffsetY' | 'font'> & {color: string, accentColor: string, outlineColor: string, outlineWidth: number, outlineOffset: number}>} WidgetStyle
+ */
+
+/**
+ * Any widget.
+ *
+ * @typedef {ReturnType<typeof Button> | ReturnType<typeof Toggle> | ReturnType<typeof Slider> | ReturnType<typeof TextInput>} CanvasWidget
+ */
+
+/**
+ * Named sequence of sprite sheet frames.
+ *
+ * @typedef {object} SpriteClip
+ * @property {(number|string)[]} [frames] Frame numbers or atlas frame names. Default: all frames.
+ * @property {number} [fps] Frames per second. Default: 12.
+ * @property {boolean|number} [loop] Number of times to repeat the clip, or `true` to repeat until stopped.
+ */
+
+/**
+ * Event types that can be registered with `addEvent()`.
+ *
+ * Pointer events are translated into their mouse equivalents, so `click`, `mousedown`, `mouseup` and `mousemove` callbacks also work with touch and pen input.
+ */
+const EVENT_TYPES = [ 'click', 'mousedown', 'mouseup', 'mousemove', 'mouseenter', 'mouseleave', 'mouseover', 'mouseout', 'pointerdown', 'pointerup', 'pointermove', 'pointercancel' ]
+
+/**
+ * Event types that depend on tracking which components are under the pointer.
+ */
+const HOVER_EVENT_TYPES = [ 'mouseenter', 'mouseleave', 'mouseover', 'mouseout' ]
+
+/**
+ * Component types that can be event targets.
+ */
+const EVENT_TARGET_TYPES = [ 'Sprite', 'Text', 'Vector', 'Group', 'Button', 'Toggle', 'Slider', 'TextInput' ]
+
+/**
+ * Component types that can receive keyboard focus.
+ */
+const WIDGET_TYPES = [ 'Button', 'Toggle', 'Slider', 'TextInput' ]
+
+/**
+ * Keys that move focus within a menu (a group of widgets), and the direction they move it in.
+ */
+const ARROW_KEYS = { ArrowUp: -1, ArrowLeft: -1, ArrowDown: 1, ArrowRight: 1 }
+
+/**
+ * Max distance (in pixels) a touch or pen pointer may move between `pointerdown` and `pointerup` and still count as a tap (click).
+ */
+const TAP_TOLERANCE = 10
+
+/**
+ * Component properties that can be animated with `tween()`. Color styles are interpolated between CSS color values, the rest are numbers.
+ */
+const TWEEN_PROPERTIES = [ 'x', 'y', 'width', 'height', 'opacity', 'rotation', 'scaleX', 'scaleY', 'lineWidth', 'shadowBlur', 'shadowOffsetX', 'shadowOffsetY', 'fillStyle', 'strokeStyle', 'shadowColor' ]
+
+/**
+ * @typedef {Partial<{x: number, y: number, width: number, height: number, opacity: number, rotation: number, scaleX: number, scaleY: number, lineWidth: number, shadowBlur: number, shadowOffsetX: number, shadowOffsetY: number, fillStyle: string, strokeStyle: string, shadowColor: string}>} TweenProperties
+ */
+
+/**
+ * Time (in milliseconds) the text input caret is shown, and then hidden, when it blinks.
+ */
+const CARET_BLINK_INTERVAL = 530
+
+/**
+ * Maximum number of pixels in a sprite's alpha mask. Larger images are sampled at a lower resolution.
+ */
+const ALPHA_MASK_MAX_PIXELS = 1024 * 1024
+
+/**
+ * Default layers, from bottom to top.
  */
-const COMPONENTS = { Sprite: 'Sprite', Text: 'Text', Vector: 'Vector' }
+const DEFAULT_LAYERS = [ 'background', 'world', 'hud', 'overlay' ]
 
 /**
  * Canvas controller factory.
  *
+ * Components are painted in layers. Each layer is cached in its own offscreen canvas, and only repainted when its components change. The layers are then combined on the visible canvas.
+ *
+ * Options:
+ *
+ * [autoResize]: Resize the canvas to fill the container when the container changes size
+ *
+ * [layers]: Layer names, from bottom to top.
+ *
+ * [defaultLayer]: Layer components are added to, unless another layer is specified. Default: `world` (or the first layer, if there is no `world` layer).
+ *
  * @param {Element} container
  * @param {number} width
  * @param {number} height
+ * @param {{autoResize?: boolean, layers?: string[], defaultLayer?: string}} options
  */
-export default function Canvas( container, width, height ) {
+export default function Canvas( container, width, height, { autoResize = false, layers: layerNames = DEFAULT_LAYERS, defaultLayer: defaultLayerName = undefined } = {} ) {
 	/** @type {HTMLCanvasElement} */
 	let canvas
 
 	/** @type {CanvasRenderingContext2D} */
 	let ctx
 
+	/**
+	 * Dimensions of the canvas that are sized by the page with CSS (inline or in a stylesheet). These are left alone when the canvas is resized.
+	 *
+	 * @type {ReturnType<typeof getCssSizing>}
+	 */
+	let cssSizing
+
+	/**
+	 * Position and size of the canvas content in viewport coordinates (see `getContentBox()`). Measured when needed, and cleared when the canvas is resized, the page is scrolled, or a pointer enters or presses the canvas.
+	 *
+	 * @type {ReturnType<typeof getContentBox>}
+	 */
+	let contentBox
+
+	/**
+	 * Hidden DOM mirror of the widgets, for screen readers.
+	 *
+	 * @type {ReturnType<typeof AccessibilityTree>}
+	 */
+	let accessibilityTree
+
+	/**
+	 * Number of device pixels per CSS pixel. The canvas is rendered at this resolution to stay sharp on high-DPI screens.
+	 */
+	let pixelRatio = window.devicePixelRatio || 1
+
+	/**
+	 * Layers, from bottom to top. Each layer has its own offscreen canvas, and a viewport that lets its components request a repaint of the layer.
+	 *
+	 * Components and hit testing use logical coordinates (CSS pixels). The canvases themselves are sized in device pixels.
+	 *
+	 * @type {{name: string, canvas: OffscreenCanvas|HTMLCanvasElement, ctx: CanvasRenderingContext2D, viewport: Viewport, isDirty: boolean}[]}
+	 */
+	const layers = []
+
+	const defaultLayer = layerNames.includes( defaultLayerName ) ? defaultLayerName : ( layerNames.includes( 'world' ) ? 'world' : layerNames[ 0 ] )
+
+	if ( defaultLayerName !== undefined && defaultLayer !== defaultLayerName ) {
+		console.error( `Layer error: default layer not found (${ defaultLayerName }).` )
+	}
+
+	/**
+	 * Callbacks to execute on the next animation frame, before the canvas is painted.
+	 *
+	 * @type {Set<(timeStamp: number) => void>}
+	 */
+	const frameCallbacks = new Set()
+
+	/**
+	 * Pending `requestAnimationFrame()` ID, if a frame has been requested.
+	 *
+	 * @type {number}
+	 */
+	let frameRequest
+
+	/**
+	 * Changes made while painting (e.g. layout) are already painted, so they do not mark the canvas as dirty.
+	 */
+	let isPainting = false
+
 	/**
 	 * Components are various objects that define and control canvas shapes.
 	 *
-	 * @type {(ReturnType<typeof Sprite> | ReturnType<typeof Text> | ReturnType<typeof Vector>)[]}
+	 * Includes components inside groups, which are painted by their group rather than by the canvas.
+	 *
+	 * @type {CanvasComponent[]}
 	 *
 	 */
 	const components = []
 
 	/**
-	 * Registered events, per event type and component.
+	 * Registered events, per event type and component. Each component may have several listeners per event type.
 	 *
-	 * @type {Record<string, Map<ReturnType<typeof Vector>, [ onEvent: (target: ReturnType<typeof Vector>, e: MouseEvent, x: number, y: number ) => void, onUncapturedEvent?: (target: ReturnType<typeof Vector>, e: MouseEvent, x: number, y: number ) => void ] >>} */
+	 * @type {Record<string, Map<CanvasComponent, [ onEvent: (target: CanvasComponent, e: ReturnType<typeof CanvasEvent>, x: number, y: number ) => void, onUncapturedEvent?: (target: CanvasComponent, e: ReturnType<typeof CanvasEvent>, x: number, y: number ) => void ][] >>} */
 	const eventRegistry = {}
 
 	/** @type {[number,number]} */
 	const mousePosition = [ 0, 0 ]
 
-	/** @type {{[animationName: string]: { complete: boolean, reset: boolean, completeAsync: ReturnType<typeof resolver>[0], setCompleteAsync: ReturnType<typeof resolver>[1], animationFn: ({elapsed, remainingTime, frameCoefficient}: {elapsed: number, remainingTime: number, frameCoefficient: number}) => void}}} */
+	/**
+	 * Pointers captured by a pressed widget, by pointer ID. The widget receives the pointer moves until the pointer is released.
+	 *
+	 * @type {Map<number, {onMove: (x: number, y: number) => void, onRelease: () => void}>}
+	 */
+	const pointerCaptures = new Map()
+
+	/**
+	 * Components currently under each pointer, by pointer ID. Only components with hover event listeners are tracked.
+	 *
+	 * @type {Map<number, Set<CanvasComponent>>}
+	 */
+	const hoverState = new Map()
+
+	/**
+	 * Last position of each pointer over the canvas, by pointer ID.
+	 *
+	 * @type {Map<number, {e: PointerEvent, x: number, y: number}>}
+	 */
+	const pointerPositions = new Map()
+
+	/**
+	 * Update the hover state of the pointers over the canvas, at their last positions. Set by `startEventListeners()`.
+	 *
+	 * @type {() => void}
+	 */
+	let refreshHoverState = () => {}
+
+	/**
+	 * Click a widget, i.e. execute its `click` callbacks. Used when a widget is activated with the keyboard or a screen reader. Set by `startEventListeners()`.
+	 *
+	 * @type {(widget: CanvasWidget, e: MouseEvent|KeyboardEvent) => void}
+	 */
+	let clickWidget = () => {}
+
+	/**
+	 * Shown components in paint order, at the last paint. Used to find components that were shown, hidden or reordered.
+	 *
+	 * @type {CanvasComponent[]}
+	 */
+	let shownComponents = []
+
+	/**
+	 * Widget that has keyboard focus.
+	 *
+	 * @type {CanvasWidget}
+	 */
+	let focusedWidget
+
+	/**
+	 * Global key bindings (see `addKeyBinding()`).
+	 *
+	 * @type {{keys: string[], callback: (e: KeyboardEvent) => void}[]}
+	 */
+	const keyBindings = []
+
+	/**
+	 * Running animations (timelines), by name.
+	 *
+	 * @type {{[animationName: string]: ReturnType<typeof createTimeline>}}
+	 */
 	const animations = {}
 
 	/** @type {{[intervalName: string]: () => void}} */
 	const intervals = {}
 
+	/**
+	 * Number of timelines created, used to name unnamed timelines.
+	 */
+	let timelineCount = 0
+
+	/** @type {Set<(width: number, height: number) => void>} */
+	const resizeListeners = new Set()
+
+	/**
+	 * Fonts that are loading or have loaded (see `loadFont()`).
+	 *
+	 * @type {Promise<void>[]}
+	 */
+	const fontLoads = []
+
 	// `sprites` is a promise containing external assets while they are loading
 	// setSprite is used to resolve the promise
 	let spriteNum = 0
@@ -82,1042 +420,5626 @@ export default function Canvas( container, width, height ) {
 	async function init() {
 		canvas = container.querySelector( 'canvas' )
 		ctx = canvas.getContext( '2d' )
-		canvas.width = width
-		canvas.height = height
+		cssSizing = getCssSizing( canvas )
+		layerNames.forEach( ( layerName ) => layers.push( createLayer( layerName ) ) )
+		updateCanvasSize()
 		container.appendChild( canvas )
-	}
-
-	const api = {
-		get mousePosition() {
-			return Object.freeze( [ ...mousePosition ] )
-		},
+		watchPixelRatio()
 
-		get width() {
-			return width
-		},
-		get height() {
-			return height
-		},
+		accessibilityTree = AccessibilityTree( container, {
+			onFocus: ( widget ) => {
+				if ( widget !== focusedWidget && isFocusable( widget ) ) {
+					focusWidget( widget, true )
+				}
+			},
+			onClick: ( widget, e ) => clickWidget( widget, e ),
+		} )
 
-		/**
-		 * Get component by name and type.
-		 *
-		 * @template {keyof typeof COMPONENTS} Type
-		 * @param {Type} type
-		 * @param {string} name
-		 * @return {ReturnType<{ Sprite: typeof Sprite, Text: typeof Text, Vector: typeof Vector }[Type]>}
-		 */
-		getComponent( type, name ) {
-			const cmp = components.find( ( c ) => c.type === type && c.name === name )
+		const resizeObserver = new ResizeObserver( ( entries ) => {
+			clearContentBox()
 
-			if ( ! cmp ) {
-				const found = components.find( ( c ) => c.name === name )
-				throw new Error( `Cannot find a component with name '${ name }' of type '${ type }'. ${ found ? `Did you mean '${ found.type }'?` : '' }` )
+			if ( autoResize && entries.some( ( entry ) => entry.target === container ) ) {
+				api.resize( container.clientWidth, container.clientHeight )
 			}
+		} )
 
-			// @ts-ignore
-			return cmp
-		},
+		resizeObserver.observe( canvas )
 
-		/**
-		 * @param {string} name
-		 * @return {ReturnType<typeof Vector>}
-		 */
-		getVector( name ) {
-			return this.getComponent( 'Vector', name )
-		},
+		if ( autoResize ) {
+			resizeObserver.observe( container )
+		}
 
-		/**
-		 * @param {string} name
-		 *  return {ReturnType<typeof Vector>}
-		 */
-		getSprite( name ) {
-			return this.getComponent( 'Sprite', name )
-		},
+		// Scrolling any ancestor of the canvas moves it in the viewport
+		window.addEventListener( 'scroll', clearContentBox, { capture: true, passive: true } )
+		window.addEventListener( 'resize', clearContentBox )
+	}
 
-		/**
-		 * @param {string} name
-		 *  return {ReturnType<typeof Vector>}
-		 */
-		getText( name ) {
-			return this.getComponent( 'Text', name )
-		},
+	/**
+	 * Measure the content box of the canvas again when it is needed.
+	 */
+	function clearContentBox() {
+		contentBox = undefined
+	}
 
-		/**
-		 * Add image or SVG graphics.
-		 *
-		 * @param {string} name
-		 * @param {string} source
-		 * @param {Parameters<typeof Sprite>[3]} options
-		 */
-		addSprite( name, source, options = {} ) {
-			const { autoDomainMargin, svg, scaleFactor, scaleTo, fitToCanvas } = options
+	/**
+	 * Get the content box of the canvas, measuring it if it has changed.
+	 */
+	function getCanvasBox() {
+		contentBox ??= getContentBox( canvas )
+		return contentBox
+	}
 
-			const component = Sprite( name, canvas, ctx, options )
-			component.loadSprite( source, { autoDomainMargin, svg, scaleFactor, scaleTo, fitToCanvas } )
+	/**
+	 * @param {string} name
+	 */
+	function createLayer( name ) {
+		const layerCanvas = typeof OffscreenCanvas === 'function' ? new OffscreenCanvas( 1, 1 ) : document.createElement( 'canvas' )
 
-			setSprite( Promise.resolve( component.ready() ).then( ( data ) => {
-				return data
-			} ) )
-		},
+		const layer = {
+			name,
+			canvas: layerCanvas,
+			/** @type {CanvasRenderingContext2D} */
+			// @ts-ignore
+			ctx: layerCanvas.getContext( '2d' ),
+			isDirty: true,
+			viewport: {
+				get width() {
+					return width
+				},
+				get height() {
+					return height
+				},
+				requestRender() {
+					api.render( name )
+				},
+				requestFrame,
+			},
+		}
 
-		/**
-		 * Add text to canvas.
-		 *
-		 * @param {string} name
-		 * @param {Parameters<typeof Text>[3]} options
-		 */
-		addText( name, options ) {
-			const component = Text( name, canvas, ctx, options )
-			components.push( component )
-			return component
-		},
+		return layer
+	}
 
-		/**
-		 * Add simple SVG file as a vector path (shape).
-		 *
-		 * @param {string} name
-		 * @param {string} source
-		 * @param {Parameters<typeof Vector>[3]} options
-		 */
-		addVectorPath( name, source, options = {} ) {
-			const component = Vector( name, canvas, ctx, options )
+	/**
+	 * Find layer by name. Falls back to the default layer if the layer does not exist.
+	 *
+	 * @param {string} name
+	 */
+	function getLayer( name = defaultLayer ) {
+		const layer = layers.find( ( l ) => l.name === name )
 
-			const { scaleFactor, scaleTo } = options
-			component.loadSvg( source, { scaleFactor, scaleTo } )
+		if ( ! layer ) {
+			console.error( `Layer error: layer not found (${ name }).` )
+			return layers.find( ( l ) => l.name === defaultLayer )
+		}
 
-			setSprite( Promise.resolve( component.ready() ).then( ( data ) => {
-				return data
-			} ) )
+		return layer
+	}
 
-			return component
-		},
+	/**
+	 * Size the canvas backing stores in device pixels, and scale the contexts so components can draw in CSS pixels.
+	 */
+	function updateCanvasSize() {
+		// The canvas is displayed at its logical size, unless the page sizes it with CSS
+		if ( ! cssSizing.width ) {
+			canvas.style.width = `${ width }px`
+		}
 
-		/**
-		 * Add vector shape (circle or rectangle)
-		 *
-		 * @param {string} name
-		 * @param {Parameters<typeof Vector>[3]} options
-		 */
-		addVectorShape( name, options = {} ) {
-			const component = Vector( name, canvas, ctx, options )
-			components.push( component )
-			return component
-		},
+		if ( ! cssSizing.height ) {
+			canvas.style.height = `${ height }px`
+		}
 
-		/**
-		 * Remove component from component list.
-		 *
-		 * @param {string} name
-		 * @param {keyof typeof COMPONENTS} type
-		 */
-		deleteComponent( name, type ) {
-			const index = components.findIndex( ( c ) => c.name === name )
+		clearContentBox()
 
-			if ( index < 0 ) {
-				console.error( `Delete error: component not found (${ name }).` )
-				return
-			}
+		;[ { canvas, ctx }, ...layers ].forEach( ( target ) => {
+			target.canvas.width = Math.round( width * pixelRatio )
+			target.canvas.height = Math.round( height * pixelRatio )
 
-			components.splice( index, 1 )
-			return true
-		},
+			// Resizing the canvas resets the context state
+			target.ctx.setTransform( pixelRatio, 0, 0, pixelRatio, 0, 0 )
+		} )
 
-		/**
-		 * Trigger an animation.
-		 *
-		 * @param {string} animationName
-		 * @param {number} duration
-		 * @param {({elapsed, remainingTime, frameCoefficient}: {elapsed: number, remainingTime: number, frameCoefficient: number}) => void} animationFn
-		 * @param {() => void} onCompleteCallback
-		 */
-		animate( animationName, duration, animationFn, onCompleteCallback = undefined ) {
-			let start, previousTimeStamp
+		layers.forEach( ( layer ) => ( layer.isDirty = true ) )
+	}
 
-			/**
-			 * Used to calculate frameCoefficient
-			 */
-			const relativeDuration = 1 / duration
+	/**
+	 * Re-render at the new resolution when the device pixel ratio changes (e.g. browser zoom, or window moved to another screen).
+	 *
+	 * The media query only matches the current ratio, so it has to be replaced after every change.
+	 */
+	function watchPixelRatio() {
+		const mediaQuery = window.matchMedia( `(resolution: ${ pixelRatio }dppx)` )
+
+		mediaQuery.addEventListener( 'change', () => {
+			pixelRatio = window.devicePixelRatio || 1
+			updateCanvasSize()
+			paint()
+			watchPixelRatio()
+		}, { once: true } )
+	}
 
-			if ( animationName in animations ) {
-				animations[ animationName ].reset = true
-			}
-			else {
-				const [ completeAsync, setCompleteAsync ] = resolver()
+	/**
+	 * Schedule a frame. All callbacks requested for the same frame run together, followed by a single paint if anything changed.
+	 *
+	 * @param {(timeStamp: number) => void} callback
+	 */
+	function requestFrame( callback = undefined ) {
+		if ( callback ) {
+			frameCallbacks.add( callback )
+		}
 
-				animations[ animationName ] = {
-					completeAsync,
-					setCompleteAsync,
-					complete: false,
-					reset: false,
-					animationFn,
-				}
+		frameRequest ??= requestAnimationFrame( ( timeStamp ) => {
+			frameRequest = undefined
+
+			const callbacks = [ ...frameCallbacks ]
+			frameCallbacks.clear()
+			callbacks.forEach( ( frameCallback ) => frameCallback( timeStamp ) )
+
+			if ( layers.some( ( layer ) => layer.isDirty ) ) {
+				paint()
 			}
+		} )
+	}
 
-			/**
-			 * Render animation frame.
-			 *
-			 * @param {number} timeStamp
-			 */
-			const animationFrame = ( timeStamp ) => {
-				start ??= timeStamp
-				const elapsed = timeStamp - start
-				const animation = animations[ animationName ]
+	/**
+	 * Repaint layers that have changed, and combine all layers on the canvas.
+	 */
+	function paint() {
+		// Moving components marks their layers as dirty, so layout runs first
+		api.updateLayout()
 
-				// Animation has been aborted
-				if ( ! animation ) {
-					return
-				}
+		// Widgets that were hidden or disabled lose focus, so they are not focused when they are shown again
+		if ( focusedWidget && ! isFocusable( focusedWidget ) ) {
+			blurWidget()
+		}
 
-				/**
-				 * Fraction of animation that has elapsed (`1/duration * elapsed`).
-				 *
-				 * @type {number}
-				 */
-				let frameCoefficient
+		isPainting = true
 
-				// Animation should restart?
-				if ( animation.reset ) {
-					animations[ animationName ].reset = false
-					requestAnimationFrame( animationFrame )
-					return
-				}
-				// Render next animation frame
-				else if ( previousTimeStamp !== timeStamp ) {
-					frameCoefficient = relativeDuration * elapsed
+		const paintOrder = getPaintOrder()
+		const hasWidgetChanges = paintOrder.some( ( component ) => WIDGET_TYPES.includes( component.type ) && getLayer( component.layer ).isDirty )
+		const shown = paintOrder.filter( ( component ) => component.isShown() )
+		const hasShownChanges = shown.length !== shownComponents.length || shown.some( ( component, index ) => component !== shownComponents[ index ] )
 
-					if ( elapsed ) {
-						animationFn( { elapsed, remainingTime: duration - elapsed, frameCoefficient: frameCoefficient || 0 } )
+		shownComponents = shown
 
-						this.clear()
-						this.render()
-					}
-				}
+		layers.filter( ( layer ) => layer.isDirty ).forEach( ( layer ) => {
+			layer.ctx.clearRect( 0, 0, width, height )
 
-				if ( animation.complete || elapsed >= duration ) {
-					if ( typeof onCompleteCallback === 'function' ) {
-						onCompleteCallback()
-					}
+			// Components inside groups are painted by their group
+			paintOrder
+				.filter( ( component ) => ! component.parent && component.layer === layer.name )
+				.forEach( ( component ) => component.render() )
 
-					animations[ animationName ].setCompleteAsync()
-					delete animations[ animationName ]
-				}
-				// If time elapsed < duration, continue
-				else if ( elapsed < duration ) {
-					previousTimeStamp = timeStamp
+			layer.isDirty = false
+		} )
 
-					if ( ! animation.complete ) {
-						requestAnimationFrame( animationFrame )
-					}
-				}
-			}
+		api.clear()
+		layers.forEach( ( layer ) => ctx.drawImage( layer.canvas, 0, 0, width, height ) )
 
-			requestAnimationFrame( animationFrame )
+		// Widgets request a paint when they change, so the accessibility tree is updated with them. Widgets are also shown and hidden with their groups, which may be in other layers.
+		if ( hasWidgetChanges || hasShownChanges ) {
+			updateAccessibilityTree()
+		}
 
-			return animations[ animationName ].completeAsync
-		},
+		isPainting = false
 
-		/**
-		 * Execute a function on an interval.
-		 *
-		 * The interval is registered so that it will not be executed if already running.
-		 *
-		 * Returns cancel function.
-		 *
-		 * @param {string} intervalName
-		 * @param {number} interval
-		 * @param {(cancel: () => void, count: number) => void} intervalFn
-		 */
-		addInterval( intervalName, interval, intervalFn ) {
-			if ( intervals[ intervalName ] ) {
-				return intervals[ intervalName ]
+		// Components may have been shown or hidden under a pointer that has not moved, e.g. when the scene changes
+		if ( hasShownChanges ) {
+			refreshHoverState()
+		}
+	}
+
+	/**
+	 * Position of a component's layer, from the bottom.
+	 *
+	 * @param {CanvasComponent} component
+	 */
+	function getLayerIndex( component ) {
+		return layerNames.indexOf( component.layer )
+	}
+
+	/**
+	 * Position a component according to its layout spec.
+	 *
+	 * @param {CanvasComponent} component
+	 * @param {Set<CanvasComponent>} positioned Components already positioned in this pass. Used to position reference components first, and to stop circular layouts.
+	 */
+	function applyLayout( component, positioned ) {
+		if ( ! component.layout || positioned.has( component ) ) {
+			return
+		}
+
+		positioned.add( component )
+
+		const { anchor = 'top-left', origin = anchor, x = 0, y = 0, margin = 0, relativeTo = undefined } = component.layout
+
+		if ( ! ( anchor in ANCHORS ) || ! ( origin in ANCHORS ) ) {
+			console.error( `Layout error: invalid anchor '${ anchor }' or origin '${ origin }' (${ component.name }).` )
+			return
+		}
+
+		let reference = { x: 0, y: 0, width, height }
+
+		if ( relativeTo ) {
+			const target = components.find( ( c ) => c === relativeTo || c.name === relativeTo )
+
+			if ( ! target ) {
+				console.error( `Layout error: component not found (${ relativeTo }).` )
+				return
 			}
 
-			// eslint-disable-next-line prefer-const
-			let timer
-			let count = 0
+			applyLayout( target, positioned )
+			reference = target.getBounds()
 
-			const cancel = () => {
-				clearTimeout( timer )
+			// Bounds are relative to the parent group, if any
+			if ( 'getParentOffset' in target ) {
+				const [ targetOffsetX, targetOffsetY ] = target.getParentOffset()
+				reference = { ...reference, x: reference.x + targetOffsetX, y: reference.y + targetOffsetY }
 			}
+		}
 
-			timer = setInterval( () => {
-				count++
-				intervalFn( cancel, count )
-			}, interval )
+		const [ anchorX, anchorY ] = ANCHORS[ anchor ]
+		const [ originX, originY ] = ANCHORS[ origin ]
+		const [ marginTop, marginRight, marginBottom, marginLeft ] = expandMargin( margin )
+		const [ offsetX, offsetY ] = component.getParentOffset()
+		const bounds = component.getBounds()
 
-			// Save interval cancel function to registry
-			intervals[ intervalName ] = cancel
+		const left = reference.x + ( reference.width * anchorX ) - ( bounds.width * originX ) + resolveLength( x, reference.width ) +
+			( originX === 0 ? marginLeft : 0 ) - ( originX === 1 ? marginRight : 0 )
+		const top = reference.y + ( reference.height * anchorY ) - ( bounds.height * originY ) + resolveLength( y, reference.height ) +
+			( originY === 0 ? marginTop : 0 ) - ( originY === 1 ? marginBottom : 0 )
 
-			return cancel
-		},
+		// The position of a component is not necessarily its top-left corner (e.g. circles, centered text)
+		component.setPosition( component.x + left - offsetX - bounds.x, component.y + top - offsetY - bounds.y )
+	}
 
+	/**
+	 * Create a timeline (see `api.timeline()`).
+	 *
+	 * @param {string} name
+	 * @param {{loop?: boolean|number, reverse?: boolean, alternate?: boolean}} options
+	 */
+	function createTimeline( name, { loop = false, reverse = false, alternate = false } = {} ) {
 		/**
-		 * Add `click` or `mousemove` event listeners (others not supported). Can only be used with Vector component.
+		 * Timeline entries. `progress` is the fraction of the entry that has been played (0-1).
 		 *
-		 * Each target (component) may register one callback per event.
-		 *
-		 * Each target may also register a callback that is executed if the event is fired but not captured by any other components.
+		 * @type {{start: number, duration: number, progress: number, update: (t: number) => any, isCallback?: boolean}[]}
+		 */
+		const entries = []
+
+		/**
+		 * Components animated by the timeline.
 		 *
-		 * Uncaptured event callbacks can be used to detect when the mouse moves off a target inside the canvas (where mouseleave does not work).
+		 * @type {Set<CanvasComponent>}
+		 */
+		const animatedComponents = new Set()
+
+		/**
+		 * Sequence and parallel groups being built. New entries are added to the last group.
 		 *
-		 * @param {string} type
-		 * @param {string|ReturnType<typeof Vector>} target
-		 * @param {(target: ReturnType<typeof Vector>, e: MouseEvent, x: number, y: number ) => void} onEvent
-		 * @param {(target: ReturnType<typeof Vector>, e: MouseEvent, x: number, y: number ) => void} onUncapturedEvent
+		 * @type {{mode: 'sequence'|'parallel', start: number, cursor: number, end: number}[]}
 		 */
-		addEvent( type, target, onEvent, onUncapturedEvent = undefined ) {
-			if ( ! eventRegistry[ type ] ) {
-				eventRegistry[ type ] = new Map()
-			}
+		const groups = [ { mode: 'sequence', start: 0, cursor: 0, end: 0 } ]
 
-			const component = typeof target === 'string' ? this.getVector( target ) : target
+		const repeat = loop === true ? Infinity : Number( loop ) || 0
 
-			if ( ! component ) {
-				console.error( `Cannot register ${ type } event: component not found.` )
-				log( { target } )
-				return
-			}
+		/** @type {'idle'|'playing'|'complete'|'cancelled'} */
+		let state = 'idle'
+		let direction = reverse ? -1 : 1
+		let position = 0
+		let iteration = 0
+		let previousTimeStamp
 
-			if ( component.type !== 'Vector' ) {
-				const err = `Cannot register ${ type } event: events can only be added to 'Vector' components (received: '${ component.type }')`
-				console.error( err )
-				log( { target } )
-				return
-			}
+		/** @type {Promise<any>} */
+		let waitingFor
 
-			eventRegistry[ type ].set( component, [ onEvent, onUncapturedEvent ] )
-		},
+		/** @type {ReturnType<typeof resolver<boolean>>} */
+		let completion
 
 		/**
-		 * Add `click` event listeners. Can only be used with Vector component.
+		 * Add entry to the current group. Returns the start time of the entry.
 		 *
-		 * @param {string|ReturnType<typeof Vector>} target
-		 * @param {(target: ReturnType<typeof Vector>, e: MouseEvent, x: number, y: number ) => void} onEvent
-		 * @param {(target: ReturnType<typeof Vector>, e: MouseEvent, x: number, y: number ) => void} onUncapturedEvent
+		 * @param {number} duration
 		 */
-		addClickEvent( target, onEvent, onUncapturedEvent = undefined ) {
-			return this.addEvent( 'click', target, onEvent, onUncapturedEvent )
-		},
+		const addTime = ( duration ) => {
+			const group = groups[ groups.length - 1 ]
+			const start = group.mode === 'sequence' ? group.cursor : group.start
 
-		/**
-		 * @param {string} type
-		 * @param {string|ReturnType<typeof Vector>} target
-		 */
-		removeEvent( type, target ) {
-			if ( ! eventRegistry[ type ] ) {
-				return this
-			}
+			group.cursor = start + duration
+			group.end = Math.max( group.end, start + duration )
 
-			const component = typeof target === 'string' ? this.getVector( target ) : target
-			if ( component && component.type === 'Vector' ) {
-				eventRegistry[ type ].delete( component )
-			}
-		},
+			return start
+		}
 
 		/**
-		 * @param {string|ReturnType<typeof Vector>} target
+		 * @param {number} duration
+		 * @param {(t: number) => any} update
+		 * @param {boolean} isCallback
 		 */
-		removeClickEvent( target ) {
-			return this.removeEvent( 'click', target )
-		},
+		const addEntry = ( duration, update, isCallback = false ) => {
+			entries.push( { start: addTime( duration ), duration, progress: 0, update, isCallback } )
+		}
 
 		/**
-		 * Listens for events and executes registered event callbacks.
+		 * @param {'sequence'|'parallel'} mode
+		 * @param {(timeline: any) => void} build
 		 */
-		startEventListeners() {
-			/**
-			 * @param {MouseEvent} e
-			 */
-			const clickHandler = ( e ) => {
-				if ( ! eventRegistry.click ) {
-					return
-				}
+		const addGroup = ( mode, build ) => {
+			const parent = groups[ groups.length - 1 ]
+			const start = parent.mode === 'sequence' ? parent.cursor : parent.start
+
+			groups.push( { mode, start, cursor: start, end: start } )
+			build( timeline )
 
-				const x = e.clientX - canvas.offsetLeft
-				const y = e.clientY - canvas.offsetTop
+			const group = groups.pop()
+			addTime( group.end - group.start )
+		}
 
-				for ( const [ target, eventFns ] of eventRegistry.click ) {
-					const [ eventFn ] = eventFns
+		const getDuration = () => groups[ 0 ].end
 
-					if ( target.isPointInPath( x, y ) ) {
-						eventFn( target, e, x, y )
-						return
-					}
-				}
+		/**
+		 * Update entries to match the current position. Stops at callbacks that return a promise.
+		 *
+		 * @param {boolean} wait Wait for callbacks that return a promise.
+		 */
+		const seek = ( wait = true ) => {
+			const ordered = direction > 0 ? entries : [ ...entries ].reverse()
 
-				// Uncaptured events
-				// If the event was not captured by a component, other events may execute their uncaptured event callbacks
-				for ( const [ target, eventFns ] of eventRegistry.click ) {
-					const [ __, otherEventFn ] = eventFns
-					if ( otherEventFn ) {
-						otherEventFn( target, e, x, y )
-					}
-				}
-			}
+			for ( const entry of ordered ) {
+				const t = entry.duration
+					? Math.min( Math.max( ( position - entry.start ) / entry.duration, 0 ), 1 )
+					: Number( position >= entry.start && ( direction > 0 || position > entry.start ) )
 
-			/**
-			 * @param {MouseEvent} e
-			 */
-			const mousemoveHandler = ( e ) => {
-				if ( ! eventRegistry.mousemove ) {
-					return
+				if ( t === entry.progress ) {
+					continue
 				}
 
-				const x = e.clientX - canvas.offsetLeft
-				const y = e.clientY - canvas.offsetTop
+				entry.progress = t
+				const result = entry.update( t )
 
-				mousePosition[ 0 ] = x
-				mousePosition[ 1 ] = y
-
-				for ( const [ target, eventFns ] of eventRegistry.mousemove ) {
-					const [ eventFn ] = eventFns
-					// log( 'mousemove', target.isPointInPath( x, y ) )
-					if ( target.isPointInPath( x, y ) ) {
-						eventFn( target, e, x, y )
-						return
-					}
+				if ( ! entry.isCallback || typeof result?.then !== 'function' ) {
+					continue
 				}
 
-				// Uncaptured events
-				// If the event was not captured by a component, other events may execute their uncaptured event callbacks
-				for ( const [ target, eventFns ] of eventRegistry.mousemove ) {
-					const [ __, otherEventFn ] = eventFns
-					if ( otherEventFn ) {
-						otherEventFn( target, e, x, y )
-					}
+				if ( ! wait ) {
+					result.catch( ( error ) => console.error( error ) )
+					continue
 				}
-			}
 
-			canvas.addEventListener( 'click', clickHandler )
-			canvas.addEventListener( 'mousemove', mousemoveHandler )
-		},
+				position = entry.start
+				waitingFor = result
+
+				// A callback that fails is logged, and the timeline continues
+				result.then( () => resume( result ), ( error ) => {
+					console.error( error )
+					resume( result )
+				} )
+
+				return
+			}
+		}
 
 		/**
-		 * Check if external assets have finished loading.
+		 * Continue playing after a callback's promise has settled.
+		 *
+		 * @param {Promise<any>} promise
 		 */
-		async spritesLoaded() {
-			if ( ! spriteNum ) {
-				return []
+		const resume = ( promise ) => {
+			// The timeline was restarted while waiting
+			if ( waitingFor !== promise ) {
+				return
 			}
 
-			const spriteArr = await sprites
-			const resolvedSprites = await Promise.all( spriteArr )
+			waitingFor = undefined
+			previousTimeStamp = undefined
+			requestFrame( frame )
+		}
 
-			components.push( ...resolvedSprites )
-			return resolvedSprites
-		},
+		const complete = () => {
+			state = 'complete'
 
-		/**
-		 * Sort components by z-index (last painted is on top)
-		 */
-		sortComponents() {
-			components.sort( ( a, b ) => {
-				return a.zIndex - b.zIndex
-			} )
-		},
+			if ( animations[ name ] === timeline ) {
+				delete animations[ name ]
+			}
 
-		/**
-		 * Erase canvas.
-		 */
-		clear() {
-			ctx.clearRect( 0, 0, canvas.width, canvas.height )
-		},
+			completion[ 1 ]( true )
+		}
 
 		/**
-		 * Paint all components.
+		 * @param {number} timeStamp
 		 */
-		async render() {
-			this.sortComponents()
-			components.forEach( ( component ) => component.render() )
-		},
-	}
+		const frame = ( timeStamp ) => {
+			if ( state !== 'playing' || waitingFor ) {
+				return
+			}
 
-	init()
+			const duration = getDuration()
+			const delta = previousTimeStamp === undefined ? 0 : timeStamp - previousTimeStamp
+			previousTimeStamp = timeStamp
 
-	return api
-}
+			position = Math.min( Math.max( position + ( delta * direction ), 0 ), duration )
+			seek()
 
-/**
- * Base component factory.
- *
- * Shared functions and props used by components. The base component is inherited/extended by child components.
- *
- * @template {keyof typeof COMPONENTS} ComponentType
- * @template Config
- * @param {string} name
- * @param {ComponentType} componentType
- * @param {HTMLCanvasElement} canvas
- * @param {CanvasRenderingContext2D} ctx
- * @param {Config & Partial<{visible: boolean, x: number, y: number, width: number, height: number, zIndex: number, domain: [number,number,number,number], scaleFactor?: number, outline: boolean, noFill: boolean} & Partial<Pick<CanvasRenderingContext2D, typeof canvasStyleKeys[number]>>>} config
- * @return {[typeof props,typeof ApiFactory]}
- */
-function BaseComponent( componentType, name, canvas, ctx, config ) {
-	/** @type {Partial<{[Key in typeof canvasStyleKeys[number]]: typeof ctx[Key]}>}  */
-	// @ts-ignore
-	const canvasStyle = canvasStyleKeys.reduce( ( result, key ) => {
-		if ( key in config ) {
-			result[ key ] = config[ key ]
-			delete config[ key ]
-		}
+			if ( waitingFor ) {
+				return
+			}
 
-		return result
-	}, {} )
+			const isAtEnd = direction > 0 ? position >= duration : position <= 0
 
-	/**
-	 * @type {typeof config & {name: string, type: ComponentType, canvasStyle: typeof canvasStyle, prevStyle: canvasStyle}}
-	 */
-	const props = Object.assign( {
-		name,
-		type: componentType,
-		x: 0,
-		y: 0,
-		width: undefined,
-		height: undefined,
-		visible: false,
-		domain: undefined,
-		noFill: false,
-		outline: false,
-		canvasStyle,
-		prevStyle: null,
-		zIndex: 0,
-	}, config )
+			if ( ! isAtEnd ) {
+				requestFrame( frame )
+				return
+			}
 
-	/**
-	 * Merge parent and child methods.
-	 *
-	 * Sets context of polymorphic `this` to refer to the merged object.
-	 *
-	 * @template SubType Child method type
-	 * @template [ExtendedType=SubType & typeof coreApi] Merged methods type
-	 * @this {ExtendedType} Polymorphic `this`
-	 * @param {SubType} subTypeApi Child methods
-	 */
-	function ApiFactory( subTypeApi ) {
-		const coreApi = {
-			canvasStyle,
-			prevStyle: props.prevStyle,
+			if ( iteration >= repeat ) {
+				complete()
+				return
+			}
 
+			iteration++
+
+			if ( alternate ) {
+				direction *= -1
+			}
+			else {
+				// Jump back to the start without updating entries, so the next iteration starts from their initial values
+				position = direction > 0 ? 0 : duration
+				entries.forEach( ( entry ) => ( entry.progress = direction > 0 ? 0 : 1 ) )
+			}
+
+			requestFrame( frame )
+		}
+
+		const timeline = {
 			get name() {
-				return props.name
+				return name
 			},
 
 			/**
-			 *  type {typeof canvasStyle}
+			 * Total duration of one iteration, in milliseconds.
 			 */
-			get styles() {
-				/* * @type {{[Key in typeof canvasStyleKeys[number]]: typeof ctx[Key]}} */
-				// @ts-ignore
-				// const cs = canvasStyleKeys.reduce( ( result, key ) => {
-				// 	result[ key ] = ctx[ key ]
-				// 	return result
-				// }, {} )
-
-				return Object.freeze( { ...canvasStyle } )
-			},
-			get type() {
-				return props.type
-			},
-			get height() {
-				return props.height
-			},
-			get visible() {
-				return props.visible
-			},
-			get width() {
-				return props.width
-			},
-			get x() {
-				return props.x
-			},
-			get y() {
-				return props.y
-			},
-			get zIndex() {
-				return props.zIndex
+			get duration() {
+				return getDuration()
 			},
 
-			hide() {
-				props.visible = false
-				return this
+			get state() {
+				return state
 			},
 
-			show() {
-				props.visible = true
-				return this
+			/**
+			 * Components animated by the timeline.
+			 */
+			get components() {
+				return [ ...animatedComponents ]
 			},
 
 			/**
-			 * Create a virtual frame that define the max/min coordinates for the component.
+			 * Animate component properties. The start values are read when the tween starts, unless `from` is set.
 			 *
-			 * @param {{autoDomainMargin: boolean, domain?: [number,number,number,number]}} props
+			 * @param {string|CanvasComponent} target Component or component name
+			 * @param {TweenProperties} to
+			 * @param {{duration?: number, easing?: keyof typeof EASINGS | ((t: number) => number), from?: TweenProperties}} options
 			 */
-			setDomain( { autoDomainMargin = false, domain = undefined } ) {
-				if ( autoDomainMargin ) {
-					props.domain = [
-						props.width,
-						props.height,
-						canvas.width - props.width,
-						canvas.height - props.height,
-					]
-				}
-				else if ( Array.isArray( domain ) && domain.length === 4 ) {
-					props.domain = domain
+			tween( target, to, { duration = 400, easing = 'linear', from = {} } = {} ) {
+				const component = typeof target === 'string' ? api.findComponent( target ) : target
+				const easingFn = typeof easing === 'function' ? easing : EASINGS[ easing ]
+
+				if ( ! component ) {
+					console.error( `Tween error: component not found (${ target }).` )
+					return this
 				}
-				else {
-					props.domain = [ 0, 0, canvas.width, canvas.height ]
+
+				if ( ! easingFn ) {
+					console.error( `Tween error: unknown easing function '${ easing }'.` )
+					return this
 				}
+
+				/** @type {[string, (t: number) => number|string][]} */
+				let interpolators
+
+				const getInterpolators = () => Object.entries( to ).flatMap( ( [ property, end ] ) => {
+					const interpolator = getInterpolator( property, from[ property ] ?? getTweenValue( component, property ), end )
+
+					if ( ! interpolator ) {
+						console.error( `Tween error: cannot animate '${ property }' to '${ end }' (${ component.name }).` )
+						return []
+					}
+
+					return [ /** @type {[string, (t: number) => number|string]} */ ( [ property, interpolator ] ) ]
+				} )
+
+				animatedComponents.add( component )
+
+				addEntry( duration, ( t ) => {
+					interpolators ??= getInterpolators()
+
+					const eased = easingFn( t )
+					setTweenValues( component, Object.fromEntries( interpolators.map( ( [ property, interpolate ] ) => [ property, interpolate( eased ) ] ) ) )
+				} )
+
 				return this
 			},
 
 			/**
-			 * Set x/y coordinates.
+			 * Add custom animation function.
 			 *
-			 * Null values will be replaced with a random value.
+			 * Changes made through components repaint their own layers. The listed layers are also repainted on every frame, for changes the function makes outside of components.
 			 *
-			 * @param {number|null} x
-			 * @param {number|null} y
+			 * @param {number} duration
+			 * @param {({elapsed, remainingTime, frameCoefficient}: {elapsed: number, remainingTime: number, frameCoefficient: number}) => void} animationFn
+			 * @param {string[]} [renderLayers] Default: the default layer.
 			 */
-			setPosition( x = null, y = null ) {
-				props.x = x === null ? randomInt( props.domain[ 0 ], props.domain[ 2 ] ) : x
-				props.y = y === null ? randomInt( props.domain[ 1 ], props.domain[ 3 ] ) : y
+			animate( duration, animationFn, renderLayers = [ defaultLayer ] ) {
+				addEntry( duration, ( t ) => {
+					animationFn( { elapsed: t * duration, remainingTime: duration - ( t * duration ), frameCoefficient: t } )
+					renderLayers.forEach( ( layerName ) => api.render( layerName ) )
+				} )
+
 				return this
 			},
 
 			/**
-			 * Change size.
+			 * Wait before the next animation in the sequence.
 			 *
-			 * If both values are undefined, they are set to canvas width/height.
+			 * @param {number} ms
+			 */
+			delay( ms ) {
+				addTime( ms )
+				return this
+			},
+
+			/**
+			 * Execute a function when the timeline reaches this point, in either direction. If the function returns a promise, the timeline waits for it.
 			 *
-			 * @param {number} width
-			 * @param {number} height
+			 * @param {() => any} callback
 			 */
-			setSize( width = undefined, height = undefined ) {
-				if ( width === undefined && height === undefined ) {
-					props.width = canvas.width
-					props.height = canvas.height
-				}
-				else {
-					props.width = width === null ? props.width : width
-					props.height = height === null ? props.height : height
+			call( callback ) {
+				if ( typeof callback === 'function' ) {
+					addEntry( 0, () => callback(), true )
 				}
 
 				return this
 			},
 
 			/**
-			 * Set a number of style attributes.
+			 * Play animations one after another.
 			 *
-			 * @param {Partial<Pick<CanvasRenderingContext2D, typeof canvasStyleKeys[number]>>} styles
+			 * @param {(timeline: typeof this) => void} build Adds animations to the timeline.
 			 */
-			setStyle( styles ) {
-				Object.entries( styles ).forEach( ( [ key, value ] ) => {
-					props.canvasStyle[ key ] = value
-				} )
+			sequence( build ) {
+				addGroup( 'sequence', build )
 				return this
 			},
 
 			/**
-			 * Save current style set so it can be recalled later.
+			 * Play animations at the same time. The next animation starts when all of them are complete.
+			 *
+			 * @param {(timeline: typeof this) => void} build Adds animations to the timeline.
 			 */
-			saveStyle() {
-				if ( props.prevStyle ) {
-					return this
+			parallel( build ) {
+				addGroup( 'parallel', build )
+				return this
+			},
+
+			/**
+			 * Start the timeline. A running animation with the same name is cancelled.
+			 *
+			 * Returns promise that resolves with `true` when the timeline is complete, or `false` if it is cancelled.
+			 *
+			 * @return {Promise<boolean>}
+			 */
+			play() {
+				if ( state === 'playing' ) {
+					return completion[ 0 ]
 				}
 
-				props.prevStyle = { ...props.canvasStyle }
-				return this
+				animations[ name ]?.cancel()
+				animations[ name ] = this
+
+				completion = resolver()
+				state = 'playing'
+				iteration = 0
+				previousTimeStamp = undefined
+				waitingFor = undefined
+				position = direction > 0 ? 0 : getDuration()
+
+				entries.forEach( ( entry ) => {
+					const isAtStart = direction > 0 ? entry.start === position : entry.start + entry.duration === position
+
+					// Entries at the start are applied right away, so components do not show their previous values until the first frame
+					entry.progress = isAtStart ? NaN : Number( direction < 0 )
+				} )
+
+				seek()
+				requestFrame( frame )
+
+				return completion[ 0 ]
 			},
 
 			/**
-			 * Recall saved style set (saved styles will be erased after).
+			 * Stop the timeline, leaving components as they are.
 			 */
-			revertStyle() {
-				if ( ! props.prevStyle ) {
+			cancel() {
+				if ( state !== 'playing' ) {
 					return this
 				}
 
-				Object.entries( props.prevStyle ).forEach( ( [ key, value ] ) => {
-					props.canvasStyle[ key ] = value
-				} )
+				state = 'cancelled'
 
-				props.prevStyle = null
+				if ( animations[ name ] === this ) {
+					delete animations[ name ]
+				}
+
+				completion[ 1 ]( false )
 				return this
 			},
 
 			/**
-			 * Apply style attributes to canvas object with style attributes.
-			 *
-			 * Runs before each render.
-			 *
-			 * @return {void}
+			 * Jump to the end of the timeline. Callbacks that have not been executed yet are executed, but not waited for.
 			 */
-			applyStyles() {
-				Object.entries( props.canvasStyle ).forEach( ( [ key, value ] ) => {
-					ctx[ key ] = value
-				} )
-			},
+			finish() {
+				if ( state !== 'playing' ) {
+					return this
+				}
 
-			toString() {
-				return JSON.stringify( props, null, 4 )
-			},
+				// Looping timelines end at the end of the current iteration
+				position = direction > 0 ? getDuration() : 0
+				seek( false )
+				complete()
 
-			render() {
-				throw new Error( 'Fatal error: BaseComponent cannot be initialized on its own.' )
+				return this
 			},
+		}
+
+		return timeline
+	}
+
+	/**
+	 * Find running animations that tween a component.
+	 *
+	 * @param {string|CanvasComponent} target Component or component name
+	 */
+	function getComponentAnimations( target ) {
+		const component = typeof target === 'string' ? api.findComponent( target ) : target
+		return Object.values( animations ).filter( ( animation ) => animation.components.includes( component ) )
+	}
 
-			...subTypeApi,
+	/**
+	 * Find component that can be used as an event target.
+	 *
+	 * @param {string|CanvasComponent} target Component or component name
+	 * @return {CanvasComponent}
+	 */
+	function getEventTarget( target ) {
+		if ( typeof target !== 'string' ) {
+			return target
 		}
 
-		return coreApi
+		return components.find( ( c ) => c.name === target && EVENT_TARGET_TYPES.includes( c.type ) )
 	}
 
-	return [ props, ApiFactory ]
-}
+	/**
+	 * List components in the order they are painted. Groups are followed by their children.
+	 *
+	 * @param {CanvasComponent[]} list
+	 * @return {CanvasComponent[]}
+	 */
+	function getPaintOrder( list = undefined ) {
+		if ( ! list ) {
+			api.sortComponents()
+			list = components.filter( ( component ) => ! component.parent )
+		}
 
-/**
- * Text component factory.
- *
- * @param {string} name
- * @param {HTMLCanvasElement} canvas
- * @param {CanvasRenderingContext2D} ctx
- * @param {Parameters<typeof BaseComponent>[4] & {text: string}} config
- */
-function Text( name, canvas, ctx, config ) {
-	const [ superProps, superFactory ] = BaseComponent( COMPONENTS.Text, name, canvas, ctx, config )
+		return list.flatMap( ( component ) => ( component.type === COMPONENTS.Group ? [ component, ...getPaintOrder( component.children ) ] : [ component ] ) )
+	}
 
 	/**
-	 * @type {typeof superProps}
+	 * Remove the first event registration of a component that matches, or all matching registrations.
+	 *
+	 * @param {string} type
+	 * @param {CanvasComponent} component
+	 * @param {(registration: [ onEvent: Function, onUncapturedEvent?: Function ]) => boolean} isMatch
+	 * @param {boolean} removeAll
 	 */
-	const props = Object.assign( superProps, {
-		canvasStyle: { ...textDefaultStyles, ...superProps.canvasStyle },
-	} )
+	function removeRegistration( type, component, isMatch, removeAll = false ) {
+		const listeners = eventRegistry[ type ]?.get( component )
 
-	const api = superFactory( {
-		/**
-		 * @param {string} text
-		 * @return Component
-		 */
-		setText( text ) {
-			props.text = text
-			return api
-		},
+		if ( ! listeners ) {
+			return
+		}
 
-		render() {
-			if ( props.visible ) {
-				ctx.save()
-				api.applyStyles()
+		const firstMatch = listeners.findIndex( isMatch )
+		const remaining = removeAll ? listeners.filter( ( listener ) => ! isMatch( listener ) ) : listeners.filter( ( __, index ) => index !== firstMatch )
 
-				if ( props.outline ) {
+		if ( remaining.length ) {
+			eventRegistry[ type ].set( component, remaining )
+		}
+		else {
+			eventRegistry[ type ].delete( component )
+		}
+
+		// Stop tracking hover state, so the component receives `mouseenter` if listeners are added again
+		if ( ! HOVER_EVENT_TYPES.some( ( hoverType ) => eventRegistry[ hoverType ]?.has( component ) ) ) {
+			hoverState.forEach( ( hovered ) => hovered.delete( component ) )
+		}
+	}
+
+	/**
+	 * Add a widget to the canvas, and keep its pointer states up to date.
+	 *
+	 * Widget states follow the pointer through regular event listeners, so they respect hit testing and propagation. A pressed widget receives pointer moves until the pointer is released, also outside the widget (e.g. when dragging a slider).
+	 *
+	 * @template {CanvasWidget} Widget
+	 * @param {Widget} widget
+	 * @return {Widget}
+	 */
+	function addWidget( widget ) {
+		components.push( widget )
+		accessibilityTree.add( widget )
+
+		api.addEvent( 'mouseenter', widget, () => widget.setPointerState( { hovered: true } ) )
+		api.addEvent( 'mouseleave', widget, () => widget.setPointerState( { hovered: false } ) )
+
+		api.addEvent( 'mousedown', widget, ( target, e, x, y ) => {
+			const { button, pointerId } = /** @type {PointerEvent} */ ( e.originalEvent )
+
+			if ( button !== 0 ) {
+				return
+			}
+
+			// Pressing a widget focuses it, but only shows the focus after keyboard navigation
+			if ( widget !== focusedWidget ) {
+				focusWidget( widget, false )
+			}
+
+			widget.setPointerState( { pressed: true } )
+			widget.pointerDown( x, y, e )
+
+			// Keep receiving the pointer if it leaves the canvas
+			canvas.setPointerCapture( pointerId )
+
+			pointerCaptures.set( pointerId, {
+				onMove: ( moveX, moveY ) => widget.pointerMove( moveX, moveY ),
+				onRelease: () => widget.setPointerState( { pressed: false } ),
+			} )
+		} )
+
+		api.addEvent( 'click', widget, ( target, e ) => widget.activate( e ) )
+
+		return widget
+	}
+
+	/**
+	 * Check if a component can receive keyboard focus, i.e. is an enabled widget that is shown (including the groups it is in).
+	 *
+	 * @param {CanvasComponent} component
+	 * @return {component is CanvasWidget}
+	 */
+	function isFocusable( component ) {
+		if ( ! WIDGET_TYPES.includes( component.type ) || ! components.includes( component ) || ( 'disabled' in component && component.disabled ) ) {
+			return false
+		}
+
+		return component.isShown()
+	}
+
+	/**
+	 * List focusable widgets in tab order: by tab index, then top to bottom and left to right. Widgets with a negative tab index are left out.
+	 *
+	 * @param {CanvasComponent[]} list
+	 */
+	function getTabOrder( list = components ) {
+		return sortReadingOrder( list.filter( ( component ) => isFocusable( component ) && component.tabIndex >= 0 ) )
+	}
+
+	/**
+	 * Sort widgets by tab index, then top to bottom and left to right.
+	 *
+	 * @param {CanvasComponent[]} widgets
+	 */
+	function sortReadingOrder( widgets ) {
+		return widgets
+			.map( ( component ) => {
+				const bounds = component.getBounds()
+				const [ offsetX, offsetY ] = component.getParentOffset()
+
+				return { widget: /** @type {CanvasWidget} */ ( component ), x: bounds.x + offsetX, centerY: bounds.y + offsetY + ( bounds.height / 2 ), height: bounds.height }
+			} )
+			.sort( ( a, b ) => {
+				// Widgets are on the same row if their centers are within half the height of the smaller one
+				const rowOrder = Math.abs( a.centerY - b.centerY ) < Math.min( a.height, b.height ) / 2 ? 0 : a.centerY - b.centerY
+
+				return ( a.widget.tabIndex - b.widget.tabIndex ) || rowOrder || ( a.x - b.x )
+			} )
+			.map( ( { widget } ) => widget )
+	}
+
+	/**
+	 * Synchronize the accessibility tree with the widgets, in reading order.
+	 */
+	function updateAccessibilityTree() {
+		const widgets = sortReadingOrder( components.filter( ( component ) => WIDGET_TYPES.includes( component.type ) ) )
+
+		accessibilityTree.update( widgets.map( ( widget ) => ( { widget, isShown: widget.isShown() } ) ) )
+	}
+
+	/**
+	 * Move keyboard focus to a widget.
+	 *
+	 * @param {CanvasWidget} widget
+	 * @param {boolean} focusVisible Show the focused style (see `WidgetState`)
+	 */
+	function focusWidget( widget, focusVisible ) {
+		if ( focusedWidget && focusedWidget !== widget ) {
+			blurWidget()
+		}
+
+		focusedWidget = widget
+		widget.setFocused( true, focusVisible )
+
+		// Focus the mirror element, so screen readers follow the focus. Text inputs receive keyboard input through it.
+		const element = accessibilityTree.getElement( widget )
+
+		if ( element && document.activeElement !== element ) {
+			element.focus( { preventScroll: true } )
+		}
+	}
+
+	/**
+	 * Remove keyboard focus from the focused widget.
+	 */
+	function blurWidget() {
+		const widget = focusedWidget
+
+		focusedWidget = undefined
+		widget?.setFocused( false )
+
+		const element = widget && accessibilityTree.getElement( widget )
+
+		if ( element && document.activeElement === element ) {
+			element.blur()
+		}
+	}
+
+	/**
+	 * Move keyboard focus by a number of steps in a list of widgets, wrapping around at the ends. Focuses the first (or last) widget if no widget in the list has focus.
+	 *
+	 * @param {CanvasWidget[]} widgets Widgets in tab order
+	 * @param {number} step
+	 */
+	function moveFocus( widgets, step ) {
+		if ( ! widgets.length ) {
+			return false
+		}
+
+		const index = widgets.indexOf( focusedWidget )
+		const nextIndex = index < 0 ? ( step > 0 ? 0 : widgets.length - 1 ) : ( index + step + widgets.length ) % widgets.length
+
+		focusWidget( widgets[ nextIndex ], true )
+
+		return true
+	}
+
+	const api = {
+		get mousePosition() {
+			return Object.freeze( [ ...mousePosition ] )
+		},
+
+		get width() {
+			return width
+		},
+		get height() {
+			return height
+		},
+
+		/**
+		 * Number of device pixels per CSS pixel.
+		 */
+		get pixelRatio() {
+			return pixelRatio
+		},
+
+		/**
+		 * Layer names, from bottom to top.
+		 */
+		get layers() {
+			return [ ...layerNames ]
+		},
+
+		/**
+		 * Widget that has keyboard focus, if any.
+		 */
+		get focused() {
+			return focusedWidget
+		},
+
+		/**
+		 * Change the size of the canvas.
+		 *
+		 * Components that were sized, scaled or given a domain relative to the canvas are updated, and resize listeners are notified so they can update their layout before the canvas is rendered.
+		 *
+		 * @param {number} newWidth
+		 * @param {number} newHeight
+		 */
+		resize( newWidth, newHeight ) {
+			if ( ! newWidth || ! newHeight || ( newWidth === width && newHeight === height ) ) {
+				return this
+			}
+
+			width = newWidth
+			height = newHeight
+
+			updateCanvasSize()
+
+			// Groups resize their own children
+			components.filter( ( component ) => ! component.parent ).forEach( ( component ) => component.resize() )
+			resizeListeners.forEach( ( listener ) => listener( width, height ) )
+
+			// Resizing erases the canvas, so paint right away to avoid a blank frame
+			paint()
+			return this
+		},
+
+		/**
+		 * Execute a function whenever the canvas is resized.
+		 *
+		 * Returns function that removes the listener.
+		 *
+		 * @param {(width: number, height: number) => void} listener
+		 */
+		addResizeListener( listener ) {
+			resizeListeners.add( listener )
+			return () => resizeListeners.delete( listener )
+		},
+
+		/**
+		 * Convert viewport (client) coordinates, e.g. from `MouseEvent.clientX/Y`, to canvas coordinates.
+		 *
+		 * Takes page scrolling, CSS sizing, borders, padding and scaled or translated containers into account. Rotated or skewed canvases are not supported.
+		 *
+		 * @param {number} clientX
+		 * @param {number} clientY
+		 * @return {[number, number]}
+		 */
+		clientToCanvas( clientX, clientY ) {
+			const box = getCanvasBox()
+
+			// A canvas that is not displayed has no size, so it is treated as unscaled
+			return [
+				( clientX - box.left ) * ( width / ( box.width || width ) ),
+				( clientY - box.top ) * ( height / ( box.height || height ) ),
+			]
+		},
+
+		/**
+		 * Convert canvas coordinates to viewport (client) coordinates. Inverse of `clientToCanvas()`.
+		 *
+		 * @param {number} x
+		 * @param {number} y
+		 * @return {[number, number]}
+		 */
+		canvasToClient( x, y ) {
+			const box = getCanvasBox()
+
+			return [
+				box.left + ( x * ( ( box.width || width ) / width ) ),
+				box.top + ( y * ( ( box.height || height ) / height ) ),
+			]
+		},
+
+		/**
+		 * Get component by name and type.
+		 *
+		 * @template {keyof typeof COMPONENTS} Type
+		 * @param {Type} type
+		 * @param {string} name
+		 * @return {ReturnType<{ Button: typeof Button, Group: typeof Group, Slider: typeof Slider, Sprite: typeof Sprite, Text: typeof Text, TextInput: typeof TextInput, Toggle: typeof Toggle, Vector: typeof Vector }[Type]>}
+		 */
+		getComponent( type, name ) {
+			const cmp = components.find( ( c ) => c.type === type && c.name === name )
+
+			if ( ! cmp ) {
+				const found = components.find( ( c ) => c.name === name )
+				throw new Error( `Cannot find a component with name '${ name }' of type '${ type }'. ${ found ? `Did you mean '${ found.type }'?` : '' }` )
+			}
+
+			// @ts-ignore
+			return cmp
+		},
+
+		/**
+		 * Find component by name, regardless of type. Returns `undefined` if there is no such component.
+		 *
+		 * @param {string} name
+		 */
+		findComponent( name ) {
+			return components.find( ( c ) => c.name === name )
+		},
+
+		/**
+		 * @param {string} name
+		 * @return {ReturnType<typeof Vector>}
+		 */
+		getVector( name ) {
+			return this.getComponent( 'Vector', name )
+		},
+
+		/**
+		 * @param {string} name
+		 *  return {ReturnType<typeof Vector>}
+		 */
+		getSprite( name ) {
+			return this.getComponent( 'Sprite', name )
+		},
+
+		/**
+		 * @param {string} name
+		 *  return {ReturnType<typeof Vector>}
+		 */
+		getText( name ) {
+			return this.getComponent( 'Text', name )
+		},
+
+		/**
+		 * @param {string} name
+		 * @return {ReturnType<typeof Group>}
+		 */
+		getGroup( name ) {
+			return this.getComponent( 'Group', name )
+		},
+
+		/**
+		 * @param {string} name
+		 * @return {ReturnType<typeof Button>}
+		 */
+		getButton( name ) {
+			return this.getComponent( 'Button', name )
+		},
+
+		/**
+		 * @param {string} name
+		 * @return {ReturnType<typeof Toggle>}
+		 */
+		getToggle( name ) {
+			return this.getComponent( 'Toggle', name )
+		},
+
+		/**
+		 * @param {string} name
+		 * @return {ReturnType<typeof Slider>}
+		 */
+		getSlider( name ) {
+			return this.getComponent( 'Slider', name )
+		},
+
+		/**
+		 * @param {string} name
+		 * @return {ReturnType<typeof TextInput>}
+		 */
+		getTextInput( name ) {
+			return this.getComponent( 'TextInput', name )
+		},
+
+		/**
+		 * Add image or SVG graphics.
+		 *
+		 * Sprites are added when they have loaded (see `spritesLoaded()`).
+		 *
+		 * @param {string} name
+		 * @param {string|HTMLImageElement} source URL, or image (e.g. preloaded by the asset manager)
+		 * @param {Parameters<typeof Sprite>[3]} options
+		 */
+		addSprite( name, source, options = {} ) {
+			const { autoDomainMargin, svg, scaleFactor, scaleTo, fitToCanvas, sheet, hitShape } = options
+
+			const layer = getLayer( options.layer )
+			const component = Sprite( name, layer.viewport, layer.ctx, { ...options, layer: layer.name } )
+			component.loadSprite( source, { autoDomainMargin, svg, scaleFactor, scaleTo, fitToCanvas, sheet, hitShape } )
+
+			setSprite( Promise.resolve( component.ready() ).then( ( data ) => {
+				return data
+			} ) )
+		},
+
+		/**
+		 * Load a web font, so it can be used by text components. `spritesLoaded()` waits for the font.
+		 *
+		 * Without a source, the regular face of a font declared in CSS (`@font-face`, e.g. from a font service stylesheet) is loaded. With a source, the font file is added to the document (e.g. a font bundled with the game).
+		 *
+		 * If the font can not be loaded, an error is logged and texts fall back to other fonts.
+		 *
+		 * @example
+		 * canvas.loadFont( 'Eater' )
+		 * canvas.loadFont( 'Pixel', 'fonts/pixel.woff2', { weight: 'bold' } )
+		 *
+		 * @param {string} family
+		 * @param {string} source URL of font file
+		 * @param {FontFaceDescriptors} descriptors
+		 */
+		loadFont( family, source = undefined, descriptors = undefined ) {
+			const fontLoad = ( async() => {
+				try {
+					await loadFontFace( family, source, descriptors )
+
+					// Texts are measured when they are painted, so layouts that depend on them are updated too
+					api.render()
+				}
+				catch ( err ) {
+					console.error( `Font error: failed to load ${ family }.`, err )
+				}
+			} )()
+
+			fontLoads.push( fontLoad )
+			return fontLoad
+		},
+
+		/**
+		 * Add text to canvas.
+		 *
+		 * @param {string} name
+		 * @param {Parameters<typeof Text>[3]} options
+		 */
+		addText( name, options ) {
+			const layer = getLayer( options.layer )
+			const component = Text( name, layer.viewport, layer.ctx, { ...options, layer: layer.name } )
+			components.push( component )
+			return component
+		},
+
+		/**
+		 * Add SVG file as a vector path (shape).
+		 *
+		 * @param {string} name
+		 * @param {string} source URL, or SVG markup (e.g. preloaded by the asset manager)
+		 * @param {Parameters<typeof Vector>[3]} options
+		 */
+		addVectorPath( name, source, options = {} ) {
+			const layer = getLayer( options.layer )
+			const component = Vector( name, layer.viewport, layer.ctx, { ...options, layer: layer.name } )
+
+			const { scaleFactor, scaleTo } = options
+			component.loadSvg( source, { scaleFactor, scaleTo } )
+
+			setSprite( Promise.resolve( component.ready() ).then( ( data ) => {
+				return data
+			} ) )
+
+			return component
+		},
+
+		/**
+		 * Add vector shape (circle or rectangle)
+		 *
+		 * @param {string} name
+		 * @param {Parameters<typeof Vector>[3]} options
+		 */
+		addVectorShape( name, options = {} ) {
+			const layer = getLayer( options.layer )
+			const component = Vector( name, layer.viewport, layer.ctx, { ...options, layer: layer.name } )
+			components.push( component )
+			return component
+		},
+
+		/**
+		 * Add a button: a rounded rectangle with a label and/or icon, which is styled by its state (hovered, pressed, focused or disabled).
+		 *
+		 * Buttons are sized to fit their content, unless a width or height is given.
+		 *
+		 * `onClick` is called for as long as the button exists. Clicks that belong to a scene can be added with `scene.addClickEvent()` instead, like for other components.
+		 *
+		 * @example
+		 * canvas.addButton( 'resume_button', {
+		 * 	label: 'Resume',
+		 * 	icon: '▶',
+		 * 	radius: 8,
+		 * 	styles: { hover: { fillStyle: 'rgb(254, 205, 11)', color: 'black' } },
+		 * 	layout: { anchor: 'top-right', margin: 20 },
+		 * 	onClick: () => resume(),
+		 * } )
+		 *
+		 * @param {string} name
+		 * @param {Parameters<typeof Button>[3]} options
+		 */
+		addButton( name, options = {} ) {
+			const layer = getLayer( options.layer )
+			return addWidget( Button( name, layer.viewport, layer.ctx, { ...options, layer: layer.name } ) )
+		},
+
+		/**
+		 * Add a toggle (switch) with an optional label. Clicking the toggle switches its value.
+		 *
+		 * @example
+		 * canvas.addToggle( 'sound', { label: 'Sound', value: true, onChange: ( isOn ) => setSound( isOn ) } )
+		 *
+		 * @param {string} name
+		 * @param {Parameters<typeof Toggle>[3]} options
+		 */
+		addToggle( name, options = {} ) {
+			const layer = getLayer( options.layer )
+			return addWidget( Toggle( name, layer.viewport, layer.ctx, { ...options, layer: layer.name } ) )
+		},
+
+		/**
+		 * Add a slider. The value follows the pointer while the slider is pressed, also outside the slider.
+		 *
+		 * @example
+		 * canvas.addSlider( 'volume', { min: 0, max: 100, step: 5, value: 50, onChange: ( volume ) => setVolume( volume ) } )
+		 *
+		 * @param {string} name
+		 * @param {Parameters<typeof Slider>[3]} options
+		 */
+		addSlider( name, options = {} ) {
+			const layer = getLayer( options.layer )
+			return addWidget( Slider( name, layer.viewport, layer.ctx, { ...options, layer: layer.name } ) )
+		},
+
+		/**
+		 * Add a single line text input. Keyboard input is received by a hidden input element, which is added to the accessibility tree.
+		 *
+		 * @example
+		 * canvas.addTextInput( 'player_name', { placeholder: 'Your name', maxLength: 12, onSubmit: ( name ) => saveName( name ) } )
+		 *
+		 * @param {string} name
+		 * @param {Parameters<typeof TextInput>[3]} options
+		 */
+		addTextInput( name, options = {} ) {
+			const layer = getLayer( options.layer )
+			const component = TextInput( name, layer.viewport, layer.ctx, { ...options, layer: layer.name } )
+
+			// The input element blurs itself on Escape, and can also be blurred by the browser, e.g. when the page is clicked
+			component.element.addEventListener( 'blur', () => {
+				if ( focusedWidget === component ) {
+					blurWidget()
+				}
+			} )
+
+			return addWidget( component )
+		},
+
+		/**
+		 * Add a group of components, which are shown, hidden, moved and hit tested as a unit.
+		 *
+		 * Child positions are relative to the group.
+		 *
+		 * @param {string} name
+		 * @param {Parameters<typeof Group>[3]} options
+		 * @param {(string|CanvasComponent)[]} children Components or component names
+		 */
+		addGroup( name, options = {}, children = [] ) {
+			const layer = getLayer( options.layer )
+			const component = Group( name, layer.viewport, layer.ctx, { ...options, layer: layer.name } )
+
+			children.forEach( ( child ) => {
+				const childComponent = typeof child === 'string' ? components.find( ( c ) => c.name === child ) : child
+
+				if ( ! childComponent ) {
+					console.error( `Group error: component not found (${ child }).` )
+					return
+				}
+
+				component.add( childComponent )
+			} )
+
+			components.push( component )
+			return component
+		},
+
+		/**
+		 * Remove component from component list. Deleting a group also deletes its children.
+		 *
+		 * @param {string} name
+		 * @param {keyof typeof COMPONENTS} type
+		 */
+		deleteComponent( name, type ) {
+			const index = components.findIndex( ( c ) => c.name === name )
+
+			if ( index < 0 ) {
+				console.error( `Delete error: component not found (${ name }).` )
+				return
+			}
+
+			const [ component ] = components.splice( index, 1 )
+
+			component.parent?.remove( component )
+
+			// Deleted components no longer receive events
+			Object.values( eventRegistry ).forEach( ( listeners ) => listeners.delete( component ) )
+			hoverState.forEach( ( hovered ) => hovered.delete( component ) )
+
+			if ( component === focusedWidget ) {
+				blurWidget()
+			}
+
+			if ( WIDGET_TYPES.includes( component.type ) ) {
+				accessibilityTree.remove( /** @type {CanvasWidget} */ ( component ) )
+			}
+
+			if ( component.type === COMPONENTS.Group ) {
+				component.children.forEach( ( child ) => this.deleteComponent( child.name, child.type ) )
+			}
+
+			this.render()
+			return true
+		},
+
+		/**
+		 * Create an animation timeline. Animations are played in sequence unless they are added in a `parallel()` group.
+		 *
+		 * Options:
+		 *
+		 * [loop]: Number of times to repeat the timeline, or `true` to repeat until cancelled
+		 *
+		 * [reverse]: Play the timeline backwards
+		 *
+		 * [alternate]: Change direction each time the timeline is repeated
+		 *
+		 * @example
+		 * canvas.timeline( 'intro' )
+		 * 	.tween( 'title', { y: 100 }, { duration: 500, easing: 'easeOutBounce' } )
+		 * 	.parallel( ( timeline ) => timeline
+		 * 		.tween( 'title', { fillStyle: 'white' } )
+		 * 		.tween( 'credit_line', { opacity: 1 } ) )
+		 * 	.delay( 1000 )
+		 * 	.call( () => showMenu() )
+		 * 	.play()
+		 *
+		 * @param {string} name Running animations with the same name are cancelled when the timeline starts.
+		 * @param {Parameters<typeof createTimeline>[1]} options
+		 */
+		timeline( name = undefined, options = {} ) {
+			timelineCount++
+			return createTimeline( name ?? `timeline_${ timelineCount }`, options )
+		},
+
+		/**
+		 * Trigger an animation. A running animation with the same name is cancelled.
+		 *
+		 * Returns promise that resolves with `true` when the animation is complete, or `false` if it is cancelled.
+		 *
+		 * @param {string} animationName
+		 * @param {number} duration
+		 * @param {({elapsed, remainingTime, frameCoefficient}: {elapsed: number, remainingTime: number, frameCoefficient: number}) => void} animationFn
+		 * @param {() => void} onCompleteCallback
+		 * @param {string[]} [renderLayers] Layers repainted on every frame. Default: the default layer.
+		 */
+		animate( animationName, duration, animationFn, onCompleteCallback = undefined, renderLayers = undefined ) {
+			return this.timeline( animationName )
+				.animate( duration, animationFn, renderLayers )
+				.call( onCompleteCallback )
+				.play()
+		},
+
+		/**
+		 * Animate component properties from their current values to new values.
+		 *
+		 * Supports position, size, opacity and style attributes (see `TWEEN_PROPERTIES`). Colors are interpolated between any CSS color values, e.g. from `'white'` to `'rgba(255 0 0 / 0)'`.
+		 *
+		 * Returns promise that resolves with `true` when the tween is complete, or `false` if it is cancelled.
+		 *
+		 * Options:
+		 *
+		 * [duration]: Duration in milliseconds
+		 *
+		 * [easing]: Name of easing function (see `EASINGS`), or custom easing function
+		 *
+		 * [from]: Start values. Default: current values
+		 *
+		 * @param {Parameters<ReturnType<typeof createTimeline>['tween']>[0]} target Component or component name
+		 * @param {TweenProperties} to
+		 * @param {Parameters<ReturnType<typeof createTimeline>['tween']>[2]} options
+		 */
+		tween( target, to, options = {} ) {
+			return this.timeline().tween( target, to, options ).play()
+		},
+
+		/**
+		 * Stop a running animation, leaving components as they are.
+		 *
+		 * @param {string} animationName
+		 */
+		cancelAnimation( animationName ) {
+			animations[ animationName ]?.cancel()
+			return this
+		},
+
+		/**
+		 * Jump to the end of a running animation.
+		 *
+		 * @param {string} animationName
+		 */
+		finishAnimation( animationName ) {
+			animations[ animationName ]?.finish()
+			return this
+		},
+
+		/**
+		 * Stop all running animations that tween a component.
+		 *
+		 * @param {string|CanvasComponent} target Component or component name
+		 */
+		cancelComponentAnimations( target ) {
+			getComponentAnimations( target ).forEach( ( animation ) => animation.cancel() )
+			return this
+		},
+
+		/**
+		 * Jump to the end of all running animations that tween a component.
+		 *
+		 * @param {string|CanvasComponent} target Component or component name
+		 */
+		finishComponentAnimations( target ) {
+			getComponentAnimations( target ).forEach( ( animation ) => animation.finish() )
+			return this
+		},
+
+		/**
+		 * Execute a function on an interval.
+		 *
+		 * The interval is registered so that it will not be executed if already running.
+		 *
+		 * Returns cancel function.
+		 *
+		 * @param {string} intervalName
+		 * @param {number} interval
+		 * @param {(cancel: () => void, count: number) => void} intervalFn
+		 */
+		addInterval( intervalName, interval, intervalFn ) {
+			if ( intervals[ intervalName ] ) {
+				return intervals[ intervalName ]
+			}
+
+			// eslint-disable-next-line prefer-const
+			let timer
+			let count = 0
+
+			const cancel = () => {
+				clearTimeout( timer )
+			}
+
+			timer = setInterval( () => {
+				count++
+				intervalFn( cancel, count )
+			}, interval )
+
+			// Save interval cancel function to registry
+			intervals[ intervalName ] = cancel
+
+			return cancel
+		},
+
+		/**
+		 * Add event listeners (see `EVENT_TYPES` for supported events). Can only be used with Sprite, Vector and Group components.
+		 *
+		 * Mouse, touch and pen input are all delivered through the same callbacks: a tap triggers `click`, dragging a finger triggers `mousemove`, etc.
+		 *
+		 * Each target (component) may register several callbacks per event. Callbacks receive a `CanvasEvent` object.
+		 *
+		 * Events are dispatched to the components under the pointer in the order they are painted, topmost first. Call `e.stopPropagation()` to prevent components further down from receiving the event.
+		 *
+		 * Each target may also register a callback that is executed if the event is fired but not captured by any other components.
+		 *
+		 * Uncaptured event callbacks are not executed for hover events (`mouseenter`, `mouseleave`, `mouseover`, `mouseout`).
+		 *
+		 * `mouseenter` and `mouseleave` are sent to each component the pointer enters or leaves and do not propagate.
+		 *
+		 * Returns function that removes the listener.
+		 *
+		 * @param {typeof EVENT_TYPES[number]} type
+		 * @param {string|CanvasComponent} target
+		 * @param {(target: CanvasComponent, e: ReturnType<typeof CanvasEvent>, x: number, y: number ) => void} onEvent
+		 * @param {(target: CanvasComponent, e: ReturnType<typeof CanvasEvent>, x: number, y: number ) => void} onUncapturedEvent
+		 */
+		addEvent( type, target, onEvent, onUncapturedEvent = undefined ) {
+			if ( ! EVENT_TYPES.includes( type ) ) {
+				console.error( `Cannot register ${ type } event: unsupported event type.` )
+				return
+			}
+
+			if ( ! eventRegistry[ type ] ) {
+				eventRegistry[ type ] = new Map()
+			}
+
+			const component = getEventTarget( target )
+
+			if ( ! component ) {
+				console.error( `Cannot register ${ type } event: component not found.` )
+				log( { target } )
+				return
+			}
+
+			if ( ! EVENT_TARGET_TYPES.includes( component.type ) ) {
+				const err = `Cannot register ${ type } event: events can only be added to ${ EVENT_TARGET_TYPES.map( ( t ) => `'${ t }'` ).join( ', ' ) } components (received: '${ component.type }')`
+				console.error( err )
+				log( { target } )
+				return
+			}
+
+			if ( ! eventRegistry[ type ].has( component ) ) {
+				eventRegistry[ type ].set( component, [] )
+			}
+
+			/** @type {[typeof onEvent, typeof onUncapturedEvent]} */
+			const registration = [ onEvent, onUncapturedEvent ]
+
+			eventRegistry[ type ].get( component ).push( registration )
+
+			// Only removes this registration, even if the same callback was registered more than once
+			return () => removeRegistration( type, component, ( listener ) => listener === registration )
+		},
+
+		/**
+		 * Add `click` event listeners. Can only be used with event target components (see `EVENT_TARGET_TYPES`).
+		 *
+		 * @param {string|CanvasComponent} target
+		 * @param {(target: CanvasComponent, e: ReturnType<typeof CanvasEvent>, x: number, y: number ) => void} onEvent
+		 * @param {(target: CanvasComponent, e: ReturnType<typeof CanvasEvent>, x: number, y: number ) => void} onUncapturedEvent
+		 */
+		addClickEvent( target, onEvent, onUncapturedEvent = undefined ) {
+			return this.addEvent( 'click', target, onEvent, onUncapturedEvent )
+		},
+
+		/**
+		 * Remove event listeners. If `onEvent` is omitted, all listeners of this type are removed from the target. If `onEvent` was registered more than once, the first registration is removed.
+		 *
+		 * @param {string} type
+		 * @param {string|CanvasComponent} target
+		 * @param {(target: CanvasComponent, e: ReturnType<typeof CanvasEvent>, x: number, y: number ) => void} onEvent
+		 */
+		removeEvent( type, target, onEvent = undefined ) {
+			if ( ! eventRegistry[ type ] ) {
+				return this
+			}
+
+			const component = getEventTarget( target )
+			if ( ! component ) {
+				return this
+			}
+
+			removeRegistration( type, component, ( [ eventFn ] ) => ! onEvent || eventFn === onEvent, ! onEvent )
+			return this
+		},
+
+		/**
+		 * @param {string|CanvasComponent} target
+		 */
+		removeClickEvent( target ) {
+			return this.removeEvent( 'click', target )
+		},
+
+		/**
+		 * Announce a message to screen reader users, e.g. a score change (see `AccessibilityTree.announce()`).
+		 *
+		 * @param {string} message
+		 * @param {{assertive?: boolean}} options `assertive`: Interrupt the screen reader, e.g. for game over.
+		 */
+		announce( message, options = {} ) {
+			accessibilityTree.announce( message, options )
+			return this
+		},
+
+		/**
+		 * Move keyboard focus to a widget. Widgets can also be focused with the Tab key (see `startEventListeners()`).
+		 *
+		 * @param {string|CanvasWidget} target Widget or widget name
+		 * @param {{focusVisible?: boolean}} options `focusVisible`: Show the focused style. Default: `true`.
+		 */
+		focus( target, { focusVisible = true } = {} ) {
+			const component = getEventTarget( target )
+
+			if ( ! component || ! isFocusable( component ) ) {
+				console.error( `Focus error: component not found, or not focusable (${ typeof target === 'string' ? target : target.name }).` )
+				return this
+			}
+
+			focusWidget( component, focusVisible )
+			return this
+		},
+
+		/**
+		 * Remove keyboard focus from the focused widget.
+		 */
+		blur() {
+			blurWidget()
+			return this
+		},
+
+		/**
+		 * Run a callback when one of the keys is pressed.
+		 *
+		 * Keys are matched with `KeyboardEvent.key`, ignoring case for letters (e.g. `'p'` also matches Shift+P). Key bindings are not triggered while a text input has focus, while Ctrl, Alt or Meta is held, or by keys that are held down and repeat. Keys used by the focused widget (e.g. Enter on a button) are not passed on to key bindings.
+		 *
+		 * Returns function that removes the key binding.
+		 *
+		 * @example
+		 * canvas.addKeyBinding( [ 'Escape', 'p' ], () => pause() )
+		 *
+		 * @param {string|string[]} keys
+		 * @param {(e: KeyboardEvent) => void} callback
+		 */
+		addKeyBinding( keys, callback ) {
+			const binding = { keys: [ keys ].flat().map( normalizeKey ), callback }
+
+			keyBindings.push( binding )
+
+			return () => {
+				if ( keyBindings.includes( binding ) ) {
+					keyBindings.splice( keyBindings.indexOf( binding ), 1 )
+				}
+			}
+		},
+
+		/**
+		 * Listens for pointer events (mouse, touch, pen) and executes registered event callbacks.
+		 *
+		 * Every pointer is tracked separately, so simultaneous touches are hit tested on their own.
+		 *
+		 * Also listens for keyboard input:
+		 *
+		 * - Tab and Shift+Tab move the focus between widgets (see `Widget()`).
+		 * - Enter and Space click the focused button or toggle, i.e. trigger its `click` listeners.
+		 * - Arrow keys move the focus between widgets in the same group (a menu), unless the focused widget uses them (e.g. sliders).
+		 * - Other keys trigger key bindings (see `addKeyBinding()`).
+		 */
+		startEventListeners() {
+			/**
+			 * Pointers that are currently pressed down on the canvas, by pointer ID.
+			 *
+			 * @type {Map<number, {x: number, y: number, isTap: boolean}>}
+			 */
+			const activePointers = new Map()
+
+			/**
+			 * Sort event targets in the order they are painted, topmost first.
+			 *
+			 * @param {Iterable<CanvasComponent>} targets
+			 */
+			const sortTopmostFirst = ( targets ) => {
+				const paintIndex = new Map( getPaintOrder().map( ( component, index ) => [ component, index ] ) )
+				return [ ...targets ].sort( ( a, b ) => paintIndex.get( b ) - paintIndex.get( a ) )
+			}
+
+			/**
+			 * Execute the callbacks of the targets, topmost first, until propagation is stopped.
+			 *
+			 * @param {ReturnType<typeof CanvasEvent>} event
+			 * @param {Iterable<CanvasComponent>} targets
+			 */
+			const dispatchToTargets = ( event, targets ) => {
+				for ( const target of sortTopmostFirst( targets ) ) {
+					// Disabled components capture pointer input without reacting to it. Hover events are still delivered, so their hover state is up to date when they are enabled.
+					if ( 'disabled' in target && target.disabled && ! HOVER_EVENT_TYPES.includes( event.type ) ) {
+						break
+					}
+
+					// Listeners may have been removed by a previous callback
+					const listeners = eventRegistry[ event.type ]?.get( target )
+
+					if ( ! listeners ) {
+						continue
+					}
+
+					for ( const [ eventFn ] of [ ...listeners ] ) {
+						eventFn( target, event, event.x, event.y )
+
+						if ( event.isImmediatePropagationStopped ) {
+							break
+						}
+					}
+
+					if ( event.isPropagationStopped ) {
+						break
+					}
+				}
+			}
+
+			clickWidget = ( widget, e ) => {
+				const bounds = widget.getBounds()
+				const [ offsetX, offsetY ] = widget.getParentOffset()
+
+				dispatchToTargets( CanvasEvent( 'click', e, offsetX + bounds.x + ( bounds.width / 2 ), offsetY + bounds.y + ( bounds.height / 2 ) ), [ widget ] )
+			}
+
+			/**
+			 * Check if a component is hit by the pointer. Hidden components, including components in hidden groups, are not hit.
+			 *
+			 * @param {CanvasComponent} target
+			 * @param {number} x
+			 * @param {number} y
+			 */
+			const isHit = ( target, x, y ) => target.isShown() && target.isPointInPath( x, y )
+
+			/**
+			 * Execute the callbacks of the components hit by the pointer, topmost first, until propagation is stopped.
+			 *
+			 * If no components were hit, all uncaptured event callbacks are executed instead.
+			 *
+			 * @param {string} type
+			 * @param {MouseEvent} e
+			 * @param {number} x
+			 * @param {number} y
+			 */
+			const dispatch = ( type, e, x, y ) => {
+				if ( ! eventRegistry[ type ] ) {
+					return
+				}
+
+				const event = CanvasEvent( type, e, x, y )
+				const targets = [ ...eventRegistry[ type ].keys() ].filter( ( target ) => isHit( target, x, y ) )
+
+				if ( targets.length ) {
+					dispatchToTargets( event, targets )
+					return
+				}
+
+				// Uncaptured events
+				// If the event was not captured by a component, other events may execute their uncaptured event callbacks
+				for ( const [ target, listeners ] of [ ...eventRegistry[ type ] ] ) {
+					for ( const [ __, otherEventFn ] of [ ...listeners ] ) {
+						if ( otherEventFn ) {
+							otherEventFn( target, event, x, y )
+						}
+					}
+				}
+			}
+
+			/**
+			 * Compare the components under the pointer with the previous position, and fire hover events for components that were entered or left.
+			 *
+			 * @param {PointerEvent} e
+			 * @param {number} x
+			 * @param {number} y
+			 * @param {boolean} isLeavingCanvas Pointer has left the canvas (or been lifted), so all components are left
+			 */
+			const updateHoverState = ( e, x, y, isLeavingCanvas = false ) => {
+				const previous = hoverState.get( e.pointerId ) ?? new Set()
+
+				/** @type {Set<CanvasComponent>} */
+				const current = new Set()
+
+				if ( ! isLeavingCanvas ) {
+					HOVER_EVENT_TYPES.forEach( ( type ) => {
+						eventRegistry[ type ]?.forEach( ( __, target ) => {
+							if ( isHit( target, x, y ) ) {
+								current.add( target )
+							}
+						} )
+					} )
+				}
+
+				if ( current.size ) {
+					hoverState.set( e.pointerId, current )
+				}
+				else {
+					hoverState.delete( e.pointerId )
+				}
+
+				if ( isLeavingCanvas ) {
+					pointerPositions.delete( e.pointerId )
+				}
+				else {
+					pointerPositions.set( e.pointerId, { e, x, y } )
+				}
+
+				const left = [ ...previous ].filter( ( target ) => ! current.has( target ) )
+				const entered = [ ...current ].filter( ( target ) => ! previous.has( target ) )
+
+				if ( left.length ) {
+					dispatchToTargets( CanvasEvent( 'mouseout', e, x, y ), left )
+					left.forEach( ( target ) => dispatchToTargets( CanvasEvent( 'mouseleave', e, x, y ), [ target ] ) )
+				}
+
+				if ( entered.length ) {
+					dispatchToTargets( CanvasEvent( 'mouseover', e, x, y ), entered )
+					entered.forEach( ( target ) => dispatchToTargets( CanvasEvent( 'mouseenter', e, x, y ), [ target ] ) )
+				}
+			}
+
+			/**
+			 * @param {PointerEvent} e
+			 */
+			const pointerdownHandler = ( e ) => {
+				// The canvas may have moved without being resized or scrolled (e.g. content inserted above it, or a transformed container)
+				clearContentBox()
+
+				const [ x, y ] = this.clientToCanvas( e.clientX, e.clientY )
+
+				// Pressing outside the focused widget removes the focus, like clicking the page does in the browser
+				if ( focusedWidget && ! focusedWidget.isPointInPath( x, y ) ) {
+					blurWidget()
+				}
+
+				// Touch and pen pointers cannot hover, so treat pressing down as moving to the point
+				if ( e.pointerType !== 'mouse' ) {
+					mousePosition[ 0 ] = x
+					mousePosition[ 1 ] = y
+					updateHoverState( e, x, y )
+					dispatch( 'mousemove', e, x, y )
+				}
+
+				// Only the primary mouse button triggers clicks
+				if ( e.button === 0 ) {
+					activePointers.set( e.pointerId, { x, y, isTap: true } )
+				}
+
+				dispatch( 'pointerdown', e, x, y )
+				dispatch( 'mousedown', e, x, y )
+			}
+
+			/**
+			 * @param {PointerEvent} e
+			 */
+			const pointermoveHandler = ( e ) => {
+				const [ x, y ] = this.clientToCanvas( e.clientX, e.clientY )
+
+				mousePosition[ 0 ] = x
+				mousePosition[ 1 ] = y
+
+				// Touches and pens that are dragged too far are no longer taps
+				const pointer = activePointers.get( e.pointerId )
+				if ( pointer && e.pointerType !== 'mouse' && Math.hypot( x - pointer.x, y - pointer.y ) > TAP_TOLERANCE ) {
+					pointer.isTap = false
+				}
+
+				updateHoverState( e, x, y )
+
+				pointerCaptures.get( e.pointerId )?.onMove( x, y )
+
+				dispatch( 'pointermove', e, x, y )
+				dispatch( 'mousemove', e, x, y )
+			}
+
+			/**
+			 * @param {PointerEvent} e
+			 */
+			const releaseCapture = ( e ) => {
+				pointerCaptures.get( e.pointerId )?.onRelease()
+				pointerCaptures.delete( e.pointerId )
+			}
+
+			/**
+			 * @param {PointerEvent} e
+			 */
+			const pointerupHandler = ( e ) => {
+				const [ x, y ] = this.clientToCanvas( e.clientX, e.clientY )
+				const pointer = activePointers.get( e.pointerId )
+
+				activePointers.delete( e.pointerId )
+				releaseCapture( e )
+
+				dispatch( 'pointerup', e, x, y )
+				dispatch( 'mouseup', e, x, y )
+
+				if ( pointer?.isTap ) {
+					dispatch( 'click', e, x, y )
+				}
+			}
+
+			/**
+			 * @param {PointerEvent} e
+			 */
+			const pointercancelHandler = ( e ) => {
+				const [ x, y ] = this.clientToCanvas( e.clientX, e.clientY )
+
+				activePointers.delete( e.pointerId )
+				releaseCapture( e )
+
+				dispatch( 'pointercancel', e, x, y )
+			}
+
+			/**
+			 * Fired when a pointer moves off the canvas, and after touch and pen pointers are lifted or cancelled.
+			 *
+			 * @param {PointerEvent} e
+			 */
+			const pointerleaveHandler = ( e ) => {
+				const [ x, y ] = this.clientToCanvas( e.clientX, e.clientY )
+
+				updateHoverState( e, x, y, true )
+			}
+
+			refreshHoverState = () => {
+				pointerPositions.forEach( ( { e, x, y } ) => updateHoverState( e, x, y ) )
+			}
+
+			// Prevent the browser from using touches for scrolling and zooming
+			canvas.style.touchAction = 'none'
+
+			canvas.addEventListener( 'pointerenter', clearContentBox )
+			canvas.addEventListener( 'pointerdown', pointerdownHandler )
+			canvas.addEventListener( 'pointermove', pointermoveHandler )
+			canvas.addEventListener( 'pointerup', pointerupHandler )
+			canvas.addEventListener( 'pointercancel', pointercancelHandler )
+			canvas.addEventListener( 'pointerleave', pointerleaveHandler )
+
+			/**
+			 * @param {KeyboardEvent} e
+			 */
+			const keydownHandler = ( e ) => {
+				if ( e.defaultPrevented ) {
+					return
+				}
+
+				const isTextInput = focusedWidget?.type === COMPONENTS.TextInput && e.target === focusedWidget.element
+
+				// Leave keys typed into other form fields on the page alone
+				if ( ! isTextInput && e.target instanceof HTMLElement && ( e.target.isContentEditable || [ 'INPUT', 'TEXTAREA', 'SELECT' ].includes( e.target.tagName ) ) ) {
+					return
+				}
+
+				// Hidden and disabled widgets lose focus
+				if ( focusedWidget && ! isFocusable( focusedWidget ) ) {
+					blurWidget()
+				}
+
+				if ( e.key === 'Tab' && ! e.ctrlKey && ! e.altKey && ! e.metaKey ) {
+					if ( moveFocus( getTabOrder(), e.shiftKey ? -1 : 1 ) ) {
+						e.preventDefault()
+					}
+
+					return
+				}
+
+				// Text inputs handle their own keys (including Escape, which blurs them)
+				if ( isTextInput ) {
+					return
+				}
+
+				if ( focusedWidget && focusedWidget.keyDown( e ) ) {
+					e.preventDefault()
+					return
+				}
+
+				// Mirror elements of buttons and toggles are clicked by the browser (see `AccessibilityTree()`)
+				const isClickedByBrowser = e.target === accessibilityTree.getElement( focusedWidget ) && e.target instanceof HTMLButtonElement
+
+				if ( focusedWidget && ( e.key === 'Enter' || e.key === ' ' ) && ! isClickedByBrowser ) {
+					e.preventDefault()
+
+					if ( ! e.repeat ) {
+						clickWidget( focusedWidget, e )
+					}
+
+					return
+				}
+
+				if ( e.key in ARROW_KEYS && ! e.altKey ) {
+					const menu = focusedWidget?.parent
+
+					// Without a focused widget, arrow keys focus the first (or last) widget
+					const widgets = focusedWidget ? ( menu ? getTabOrder( components.filter( ( component ) => component.parent === menu ) ) : [] ) : getTabOrder()
+
+					if ( moveFocus( widgets, ARROW_KEYS[ e.key ] ) ) {
+						e.preventDefault()
+						return
+					}
+				}
+
+				if ( e.ctrlKey || e.altKey || e.metaKey || e.repeat ) {
+					return
+				}
+
+				const key = normalizeKey( e.key )
+				const bindings = keyBindings.filter( ( binding ) => binding.keys.includes( key ) )
+
+				if ( bindings.length ) {
+					e.preventDefault()
+					bindings.forEach( ( binding ) => binding.callback( e ) )
+				}
+			}
+
+			window.addEventListener( 'keydown', keydownHandler )
+		},
+
+		/**
+		 * Check if external assets (sprites, vector paths and fonts) have finished loading. Rejects if a sprite or vector path failed to load.
+		 */
+		async spritesLoaded() {
+			await Promise.all( fontLoads )
+
+			if ( ! spriteNum ) {
+				return []
+			}
+
+			const spriteArr = await sprites
+			const resolvedSprites = await Promise.all( spriteArr )
+
+			components.push( ...resolvedSprites )
+			this.render()
+
+			return resolvedSprites
+		},
+
+		/**
+		 * Sort components by layer and z-index (last painted is on top)
+		 */
+		sortComponents() {
+			components.sort( ( a, b ) => {
+				return ( getLayerIndex( a ) - getLayerIndex( b ) ) || ( a.zIndex - b.zIndex )
+			} )
+		},
+
+		/**
+		 * Erase canvas. The canvas is erased before it is painted, so this is not needed before `render()`.
+		 */
+		clear() {
+			ctx.clearRect( 0, 0, width, height )
+		},
+
+		/**
+		 * Position components that have a layout spec, based on the current canvas size.
+		 *
+		 * Runs before each render.
+		 */
+		updateLayout() {
+			/** @type {Set<CanvasComponent>} */
+			const positioned = new Set()
+			getPaintOrder().forEach( ( component ) => applyLayout( component, positioned ) )
+		},
+
+		/**
+		 * Request a repaint of a layer, or all layers. The canvas is painted once on the next animation frame, no matter how many times this is called.
+		 *
+		 * Components request a render of their layer when they change, so this is only needed after changes made outside of components.
+		 *
+		 * @param {string} layerName
+		 */
+		render( layerName = undefined ) {
+			if ( isPainting ) {
+				return this
+			}
+
+			layers
+				.filter( ( layer ) => layerName === undefined || layer.name === layerName )
+				.forEach( ( layer ) => ( layer.isDirty = true ) )
+
+			requestFrame()
+			return this
+		},
+	}
+
+	init()
+
+	return api
+}
+
+/**
+ * Base component factory.
+ *
+ * Shared functions and props used by components. The base component is inherited/extended by child components.
+ *
+ * @template {keyof typeof COMPONENTS} ComponentType
+ * @template Config
+ * @param {string} name
+ * @param {ComponentType} componentType
+ * @param {Viewport} canvas Canvas size in logical (CSS) pixels, and render scheduling
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Config & Partial<{visible: boolean, x: number, y: number, width: number, height: number, zIndex: number, layer: string, layout: Layout, domain: [number,number,number,number], scaleFactor?: number, outline: boolean, noFill: boolean} & Transform & Partial<Pick<CanvasRenderingContext2D, typeof canvasStyleKeys[number]>>>} config
+ * @return {[typeof props,typeof ApiFactory]}
+ */
+function BaseComponent( componentType, name, canvas, ctx, config ) {
+	/** @type {Partial<{[Key in typeof canvasStyleKeys[number]]: typeof ctx[Key]}>}  */
+	// @ts-ignore
+	const canvasStyle = canvasStyleKeys.reduce( ( result, key ) => {
+		if ( key in config ) {
+			result[ key ] = config[ key ]
+			delete config[ key ]
+		}
+
+		return result
+	}, {} )
+
+	/**
+	 * Component state. Changing it requests a render of the canvas.
+	 *
+	 * @type {typeof config & Required<Transform> & {name: string, type: ComponentType, canvasStyle: typeof canvasStyle, prevStyle: canvasStyle, parent: {x: number, y: number, isShown: () => boolean, getParentOffset: () => [number, number], getParentMatrix: () => DOMMatrix, getLocalMatrix: () => DOMMatrix, remove: (component: any) => any}, fillCanvas: boolean, domainOptions: {autoDomainMargin?: boolean, domain?: [number,number,number,number]}}}
+	 */
+	const props = new Proxy( Object.assign( {
+		name,
+		type: componentType,
+		x: 0,
+		y: 0,
+		width: undefined,
+		height: undefined,
+		fillCanvas: false,
+		visible: false,
+		domain: undefined,
+		domainOptions: undefined,
+		noFill: false,
+		outline: false,
+		canvasStyle,
+		prevStyle: null,
+		zIndex: 0,
+		layer: undefined,
+		layout: undefined,
+		parent: undefined,
+		opacity: 1,
+		rotation: 0,
+		scaleX: 1,
+		scaleY: 1,
+		transformOrigin: 'center',
+	}, config ), {
+		set( target, key, value ) {
+			// Changes to hidden components are not visible, but showing or hiding them is. Components in hidden groups are hidden too.
+			if ( target[ key ] !== value && ( target.visible || key === 'visible' ) && ( key === 'parent' || ! target.parent || target.parent.isShown() ) ) {
+				canvas.requestRender()
+			}
+
+			target[ key ] = value
+			return true
+		},
+	} )
+
+	/**
+	 * Last applied style values, and the values the context reported after they were applied (e.g. `'white'` is read back as `'#ffffff'`).
+	 *
+	 * @type {Map<string, {value: any, contextValue: any}>}
+	 */
+	const appliedStyles = new Map()
+
+	/**
+	 * Merge parent and child methods.
+	 *
+	 * Sets context of polymorphic `this` to refer to the merged object.
+	 *
+	 * @template SubType Child method type
+	 * @template [ExtendedType=SubType & typeof coreApi] Merged methods type
+	 * @this {ExtendedType} Polymorphic `this`
+	 * @param {SubType} subTypeApi Child methods
+	 */
+	function ApiFactory( subTypeApi ) {
+		const coreApi = {
+			canvasStyle,
+			prevStyle: props.prevStyle,
+
+			get name() {
+				return props.name
+			},
+
+			/**
+			 *  type {typeof canvasStyle}
+			 */
+			get styles() {
+				/* * @type {{[Key in typeof canvasStyleKeys[number]]: typeof ctx[Key]}} */
+				// @ts-ignore
+				// const cs = canvasStyleKeys.reduce( ( result, key ) => {
+				// 	result[ key ] = ctx[ key ]
+				// 	return result
+				// }, {} )
+
+				return Object.freeze( { ...canvasStyle } )
+			},
+			get type() {
+				return props.type
+			},
+			get height() {
+				return props.height
+			},
+			get visible() {
+				return props.visible
+			},
+			get width() {
+				return props.width
+			},
+			get x() {
+				return props.x
+			},
+			get y() {
+				return props.y
+			},
+			get zIndex() {
+				return props.zIndex
+			},
+
+			/**
+			 * Name of the layer the component is painted in. Set when the component is created.
+			 */
+			get layer() {
+				return props.layer
+			},
+			get layout() {
+				return props.layout
+			},
+			get opacity() {
+				return props.opacity
+			},
+			get rotation() {
+				return props.rotation
+			},
+			get scaleX() {
+				return props.scaleX
+			},
+			get scaleY() {
+				return props.scaleY
+			},
+			get transformOrigin() {
+				return props.transformOrigin
+			},
+
+			/**
+			 * Group that contains the component, if any.
+			 */
+			get parent() {
+				return props.parent
+			},
+
+			/**
+			 * Check if the component is shown, i.e. it and the groups it is in are visible.
+			 */
+			isShown() {
+				return props.visible && ( ! props.parent || props.parent.isShown() )
+			},
+
+			hide() {
+				props.visible = false
+				return this
+			},
+
+			show() {
+				props.visible = true
+				return this
+			},
+
+			/**
+			 * Create a virtual frame that define the max/min coordinates for the component.
+			 *
+			 * @param {{autoDomainMargin?: boolean, domain?: [number,number,number,number]}} props
+			 */
+			setDomain( { autoDomainMargin = false, domain = undefined } ) {
+				// Saved so the domain can be recalculated when the canvas is resized
+				props.domainOptions = { autoDomainMargin, domain }
+
+				if ( autoDomainMargin ) {
+					props.domain = [
+						props.width,
+						props.height,
+						canvas.width - props.width,
+						canvas.height - props.height,
+					]
+				}
+				else if ( Array.isArray( domain ) && domain.length === 4 ) {
+					props.domain = domain
+				}
+				else {
+					props.domain = [ 0, 0, canvas.width, canvas.height ]
+				}
+				return this
+			},
+
+			/**
+			 * Set x/y coordinates.
+			 *
+			 * Null values will be replaced with a random value.
+			 *
+			 * @param {number|null} x
+			 * @param {number|null} y
+			 */
+			setPosition( x = null, y = null ) {
+				props.x = x === null ? randomInt( props.domain[ 0 ], props.domain[ 2 ] ) : x
+				props.y = y === null ? randomInt( props.domain[ 1 ], props.domain[ 3 ] ) : y
+				return this
+			},
+
+			/**
+			 * Change size.
+			 *
+			 * If both values are undefined, they are set to canvas width/height, and will follow the canvas when it is resized.
+			 *
+			 * @param {number} width
+			 * @param {number} height
+			 */
+			setSize( width = undefined, height = undefined ) {
+				props.fillCanvas = width === undefined && height === undefined
+
+				if ( props.fillCanvas ) {
+					props.width = canvas.width
+					props.height = canvas.height
+				}
+				else {
+					props.width = width === null ? props.width : width
+					props.height = height === null ? props.height : height
+				}
+
+				return this
+			},
+
+			/**
+			 * Position the component relative to the canvas or another component. The position is updated before each render.
+			 *
+			 * Pass `undefined` to remove the layout and position the component manually.
+			 *
+			 * @param {Layout} layout
+			 */
+			setLayout( layout ) {
+				props.layout = layout
+				return this
+			},
+
+			/**
+			 * @param {number} opacity Between 0 (transparent) and 1 (opaque)
+			 */
+			setOpacity( opacity ) {
+				props.opacity = Math.min( Math.max( opacity, 0 ), 1 )
+				return this
+			},
+
+			/**
+			 * @param {number} rotation Clockwise rotation in radians
+			 */
+			setRotation( rotation ) {
+				props.rotation = rotation
+				return this
+			},
+
+			/**
+			 * Change rotation, scale and/or transform origin. Omitted values are left unchanged.
+			 *
+			 * Transforms apply to rendering and hit testing, but not to layout or `getBounds()`.
+			 *
+			 * @param {Omit<Transform, 'opacity'>} transform
+			 */
+			setTransform( { rotation = props.rotation, scaleX = props.scaleX, scaleY = props.scaleY, transformOrigin = props.transformOrigin } ) {
+				Object.assign( props, { rotation, scaleX, scaleY, transformOrigin } )
+				return this
+			},
+
+			/**
+			 * Get the area covered by the component, without transforms. Coordinates are relative to the parent group, if any.
+			 *
+			 * @return {{x: number, y: number, width: number, height: number}}
+			 */
+			getBounds() {
+				return { x: props.x, y: props.y, width: props.width ?? 0, height: props.height ?? 0 }
+			},
+
+			/**
+			 * Get the rotation and scale of the component as a matrix, in the coordinates of the parent group.
+			 *
+			 * @return {DOMMatrix}
+			 */
+			getLocalMatrix() {
+				const matrix = new Matrix()
+
+				if ( ! props.rotation && props.scaleX === 1 && props.scaleY === 1 ) {
+					return matrix
+				}
+
+				const bounds = this.getBounds()
+				const [ originX, originY ] = typeof props.transformOrigin === 'string' ? ANCHORS[ props.transformOrigin ] : props.transformOrigin
+				const x = bounds.x + ( bounds.width * originX )
+				const y = bounds.y + ( bounds.height * originY )
+
+				return matrix
+					.translateSelf( x, y )
+					.rotateSelf( props.rotation * ( 180 / Math.PI ) )
+					.scaleSelf( props.scaleX, props.scaleY )
+					.translateSelf( -x, -y )
+			},
+
+			/**
+			 * Get the matrix that maps the parent group's coordinates to canvas coordinates, including the transforms of all parent groups.
+			 *
+			 * @return {DOMMatrix}
+			 */
+			getParentMatrix() {
+				if ( ! props.parent ) {
+					return new Matrix()
+				}
+
+				return props.parent.getParentMatrix()
+					.multiply( props.parent.getLocalMatrix() )
+					.translate( props.parent.x, props.parent.y )
+			},
+
+			/**
+			 * Convert canvas coordinates to the component's own (untransformed) coordinates, i.e. the coordinates its shape is drawn in.
+			 *
+			 * @param {number} x
+			 * @param {number} y
+			 * @return {[number, number]}
+			 */
+			toLocalPoint( x, y ) {
+				const point = this.getParentMatrix()
+					.multiply( this.getLocalMatrix() )
+					.inverse()
+					.transformPoint( { x, y } )
+
+				return [ point.x, point.y ]
+			},
+
+			/**
+			 * Apply opacity, rotation and scale to the context. Must be called between `ctx.save()` and `ctx.restore()`.
+			 */
+			applyTransform() {
+				ctx.globalAlpha *= props.opacity
+
+				const { a, b, c, d, e, f } = this.getLocalMatrix()
+				ctx.transform( a, b, c, d, e, f )
+			},
+
+			/**
+			 * Set the group that contains the component. Used by groups when adding and removing children.
+			 *
+			 * @param {typeof props.parent} parent
+			 */
+			setParent( parent ) {
+				props.parent = parent
+				return this
+			},
+
+			/**
+			 * Get the canvas coordinates of the parent group's origin, i.e. the offset that applies to the component's position.
+			 *
+			 * @return {[number, number]}
+			 */
+			getParentOffset() {
+				if ( ! props.parent ) {
+					return [ 0, 0 ]
+				}
+
+				const [ x, y ] = props.parent.getParentOffset()
+				return [ x + props.parent.x, y + props.parent.y ]
+			},
+
+			/**
+			 * Recalculate scale relative to the canvas. Overridden by components that can be scaled.
+			 */
+			rescale() {
+				return this
+			},
+
+			/**
+			 * Update size, scale and domain after the canvas has been resized.
+			 *
+			 * Only values that were set relative to the canvas are recalculated.
+			 */
+			resize() {
+				this.rescale()
+
+				if ( props.fillCanvas ) {
+					this.setSize()
+				}
+
+				if ( props.domainOptions ) {
+					this.setDomain( props.domainOptions )
+				}
+
+				return this
+			},
+
+			/**
+			 * Set a number of style attributes.
+			 *
+			 * @param {Partial<Pick<CanvasRenderingContext2D, typeof canvasStyleKeys[number]>>} styles
+			 */
+			setStyle( styles ) {
+				Object.entries( styles ).forEach( ( [ key, value ] ) => {
+					props.canvasStyle[ key ] = value
+				} )
+
+				// Styles are not watched, since they are changed in place
+				if ( this.isShown() ) {
+					canvas.requestRender()
+				}
+
+				return this
+			},
+
+			/**
+			 * Save current style set so it can be recalled later.
+			 */
+			saveStyle() {
+				if ( props.prevStyle ) {
+					return this
+				}
+
+				props.prevStyle = { ...props.canvasStyle }
+				return this
+			},
+
+			/**
+			 * Recall saved style set (saved styles will be erased after).
+			 */
+			revertStyle() {
+				if ( ! props.prevStyle ) {
+					return this
+				}
+
+				Object.entries( props.prevStyle ).forEach( ( [ key, value ] ) => {
+					props.canvasStyle[ key ] = value
+				} )
+
+				props.prevStyle = null
+
+				if ( this.isShown() ) {
+					canvas.requestRender()
+				}
+
+				return this
+			},
+
+			/**
+			 * Apply style attributes to canvas object with style attributes.
+			 *
+			 * Runs before each render.
+			 *
+			 * @return {void}
+			 */
+			applyStyles() {
+				Object.entries( props.canvasStyle ).forEach( ( [ key, value ] ) => {
+					const applied = appliedStyles.get( key )
+
+					// Setting context attributes is slow (values are parsed), so skip values the context already has
+					if ( applied && applied.value === value && ctx[ key ] === applied.contextValue ) {
+						return
+					}
+
+					ctx[ key ] = value
+					appliedStyles.set( key, { value, contextValue: ctx[ key ] } )
+				} )
+			},
+
+			toString() {
+				return JSON.stringify( props, null, 4 )
+			},
+
+			render() {
+				throw new Error( 'Fatal error: BaseComponent cannot be initialized on its own.' )
+			},
+		}
+
+		// Copy getters as getters (spreading would read them once), so child getters can also replace parent getters
+		Object.defineProperties( coreApi, Object.getOwnPropertyDescriptors( subTypeApi ) )
+
+		return /** @type {Omit<typeof coreApi, keyof SubType> & SubType} */ ( /** @type {unknown} */ ( coreApi ) )
+	}
+
+	// New components are painted once they are added to the canvas
+	if ( props.visible ) {
+		canvas.requestRender()
+	}
+
+	return [ props, ApiFactory ]
+}
+
+/**
+ * Text component factory.
+ *
+ * Text can span multiple lines: lines are split at line breaks (`\n`), and wrapped at spaces if they are wider than `maxWidth`. Each line is aligned to `x` with `textAlign`.
+ *
+ * @param {string} name
+ * @param {Viewport} canvas Canvas size in logical (CSS) pixels, and render scheduling
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Parameters<typeof BaseComponent>[4] & {text: string, maxWidth?: number, lineHeight?: number}} config `maxWidth`: Wrap lines wider than this. `lineHeight`: Distance between lines in pixels. Default: height of the font.
+ */
+function Text( name, canvas, ctx, config ) {
+	const [ superProps, superFactory ] = BaseComponent( COMPONENTS.Text, name, canvas, ctx, config )
+
+	/**
+	 * @type {typeof superProps}
+	 */
+	const props = Object.assign( superProps, {
+		canvasStyle: { ...textDefaultStyles, ...superProps.canvasStyle },
+	} )
+
+	/**
+	 * Last font loaded for the text. Fonts are only loaded once, even if they fail.
+	 *
+	 * @type {string}
+	 */
+	let requestedFont
+
+	/**
+	 * Last measured lines, and the text, style and width they were measured with.
+	 *
+	 * @type {{key: string, lines: {text: string, width: number}[], ascent: number, descent: number, alignOffset: number}}
+	 */
+	let measured
+
+	const api = superFactory( {
+		/**
+		 * Width of the widest line.
+		 */
+		get width() {
+			return measureLines().lines.reduce( ( max, line ) => Math.max( max, line.width ), 0 )
+		},
+
+		/**
+		 * Height of all lines.
+		 */
+		get height() {
+			return api.getBounds().height
+		},
+
+		/**
+		 * Lines of text, after wrapping.
+		 */
+		get lines() {
+			return measureLines().lines.map( ( line ) => line.text )
+		},
+
+		/**
+		 * @param {string} text
+		 * @return Component
+		 */
+		setText( text ) {
+			props.text = text
+			return api
+		},
+
+		/**
+		 * Wrap lines that are wider than `maxWidth`. Pass `undefined` to only break lines at line breaks.
+		 *
+		 * @param {number} maxWidth
+		 * @return Component
+		 */
+		setMaxWidth( maxWidth ) {
+			props.maxWidth = maxWidth
+			return api
+		},
+
+		/**
+		 * Distance between lines in pixels. Pass `undefined` to use the height of the font.
+		 *
+		 * @param {number} lineHeight
+		 * @return Component
+		 */
+		setLineHeight( lineHeight ) {
+			props.lineHeight = lineHeight
+			return api
+		},
+
+		/**
+		 * Get the area covered by the text, measured with the current font and alignment.
+		 *
+		 * @return {{x: number, y: number, width: number, height: number}}
+		 */
+		getBounds() {
+			const { lines, ascent, descent, alignOffset } = measureLines()
+			const width = api.width
+
+			return {
+				x: props.x - ( width * alignOffset ),
+				y: props.y - ascent,
+				width,
+				height: ascent + ( getLineHeight() * ( lines.length - 1 ) ) + descent,
+			}
+		},
+
+		/**
+		 * Check if x/y coordinates (e.g. from mouse position) are within the measured box of the text.
+		 *
+		 * Coordinates are relative to the canvas.
+		 *
+		 * @param {number} x
+		 * @param {number} y
+		 */
+		isPointInPath( x, y ) {
+			if ( ! props.visible || ! props.text ) {
+				return false
+			}
+
+			const [ localX, localY ] = api.toLocalPoint( x, y )
+			const bounds = api.getBounds()
+
+			return localX >= bounds.x && localX < bounds.x + bounds.width && localY >= bounds.y && localY < bounds.y + bounds.height
+		},
+
+		render() {
+			loadFont()
+
+			if ( props.visible ) {
+				const { lines } = measureLines()
+				const lineHeight = getLineHeight()
+
+				ctx.save()
+				api.applyTransform()
+				api.applyStyles()
+
+				if ( props.outline ) {
 					ctx.lineJoin = 'round'
 					ctx.miterLimit = 2
-					ctx.strokeText( props.text, props.x, props.y )
+					lines.forEach( ( line, i ) => ctx.strokeText( line.text, props.x, props.y + ( lineHeight * i ) ) )
+				}
+
+				if ( ! props.noFill ) {
+					lines.forEach( ( line, i ) => ctx.fillText( line.text, props.x, props.y + ( lineHeight * i ) ) )
+				}
+
+				ctx.restore()
+			}
+		},
+	} )
+
+	/**
+	 * Split the text into lines and measure them with the current style. The result is reused until the text, style or max width changes.
+	 */
+	function measureLines() {
+		const text = String( props.text ?? '' )
+		const { font, textAlign, textBaseline } = props.canvasStyle
+
+		// Text is measured again when its web font is ready
+		const key = JSON.stringify( [ text, props.maxWidth, font, textAlign, textBaseline, ! font || document.fonts.check( font ) ] )
+
+		if ( measured?.key === key ) {
+			return measured
+		}
+
+		ctx.save()
+		api.applyStyles()
+
+		const measure = ( line ) => ctx.measureText( line ).width
+
+		/** @type {{text: string, width: number}[]} */
+		const lines = []
+
+		text.split( '\n' ).forEach( ( paragraph ) => {
+			let line = ''
+
+			paragraph.split( ' ' ).forEach( ( word ) => {
+				const candidate = line ? `${ line } ${ word }` : word
+
+				// Words wider than the max width get a line of their own
+				if ( line && props.maxWidth !== undefined && measure( candidate ) > props.maxWidth ) {
+					lines.push( { text: line, width: measure( line ) } )
+					line = word
+				}
+				else {
+					line = candidate
+				}
+			} )
+
+			lines.push( { text: line, width: measure( line ) } )
+		} )
+
+		// The font bounding box gives the same height for all texts with the same font, which keeps text aligned
+		const metrics = ctx.measureText( text )
+		const alignOffset = { center: 0.5, right: 1, end: 1 }[ ctx.textAlign ] ?? 0
+		ctx.restore()
+
+		measured = {
+			key,
+			lines,
+			ascent: metrics.fontBoundingBoxAscent ?? metrics.actualBoundingBoxAscent,
+			descent: metrics.fontBoundingBoxDescent ?? metrics.actualBoundingBoxDescent,
+			alignOffset,
+		}
+
+		return measured
+	}
+
+	function getLineHeight() {
+		if ( props.lineHeight !== undefined ) {
+			return props.lineHeight
+		}
+
+		const { ascent, descent } = measureLines()
+		return ascent + descent
+	}
+
+	/**
+	 * Load the font of the text if it is a web font that has not loaded yet. The text is measured and rendered again when the font is ready.
+	 */
+	function loadFont() {
+		const { font } = props.canvasStyle
+
+		if ( ! font || font === requestedFont || document.fonts.check( font ) ) {
+			return
+		}
+
+		requestedFont = font
+
+		document.fonts.load( font )
+			.then( () => canvas.requestRender() )
+			.catch( ( err ) => console.error( `Font error: failed to load font of ${ props.name } (${ font }).`, err ) )
+	}
+
+	loadFont()
+
+	return api
+}
+
+/**
+ * Widget factory. Extends the base component with the state and style system shared by buttons, toggles, sliders and text inputs.
+ *
+ * Widgets are styled by their state: styles of the active states (see `WidgetState`) are applied on top of the normal style, e.g. `pressed` on top of `hover`. Pointer states are set by the canvas, which also forwards pointer input to the widget (see `addWidget()`).
+ *
+ * Options:
+ *
+ * [styles]: Style for each state (see `WidgetStyle`). Canvas styles passed as options (e.g. `fillStyle`) are added to the normal style.
+ *
+ * [disabled]: Disabled widgets do not react to pointer input, capture events without passing them on, and cannot be focused.
+ *
+ * [tabIndex]: Widgets are focused with the Tab key in the order of their tab index, and then top to bottom, left to right. Widgets with a negative tab index are skipped, but can still be focused with `Canvas.focus()`.
+ *
+ * [ariaLabel]: Name of the widget for screen readers (see `AccessibilityTree()`). Default: the label of the widget, or its name.
+ *
+ * @template {keyof typeof COMPONENTS} ComponentType
+ * @template Config
+ * @param {ComponentType} componentType
+ * @param {string} name
+ * @param {Viewport} canvas Canvas size in logical (CSS) pixels, and render scheduling
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Config & Parameters<typeof BaseComponent>[4] & {disabled?: boolean, tabIndex?: number, ariaLabel?: string, styles?: {[State in WidgetState]?: WidgetStyle}}} config
+ */
+function Widget( componentType, name, canvas, ctx, config ) {
+	const [ superProps, superFactory ] = BaseComponent( componentType, name, canvas, ctx, config )
+
+	const { normal, ...stateStyles } = superProps.styles ?? {}
+
+	/**
+	 * @type {typeof superProps & {disabled: boolean, tabIndex: number, styles: {[State in WidgetState]: WidgetStyle}, isHovered: boolean, isPressed: boolean, isFocused: boolean, isFocusVisible: boolean}}
+	 */
+	const props = Object.assign( superProps, {
+		disabled: superProps.disabled ?? false,
+		tabIndex: superProps.tabIndex ?? 0,
+		styles: {
+			normal: { ...widgetDefaultStyles.normal, ...superProps.canvasStyle, ...normal },
+			focused: { ...widgetDefaultStyles.focused, ...stateStyles.focused },
+			hover: { ...widgetDefaultStyles.hover, ...stateStyles.hover },
+			pressed: { ...widgetDefaultStyles.pressed, ...stateStyles.pressed },
+			disabled: { ...widgetDefaultStyles.disabled, ...stateStyles.disabled },
+		},
+		isHovered: false,
+		isPressed: false,
+		isFocused: false,
+		isFocusVisible: false,
+	} )
+
+	/**
+	 * @return {WidgetState[]}
+	 */
+	function getActiveStates() {
+		if ( props.disabled ) {
+			return [ 'normal', 'disabled' ]
+		}
+
+		/** @type {WidgetState[]} */
+		const states = [ 'normal' ]
+
+		// Like `:focus-visible` in CSS, the focused style is only shown when the focus should be visible (e.g. after keyboard navigation)
+		if ( props.isFocused && props.isFocusVisible ) {
+			states.push( 'focused' )
+		}
+
+		if ( props.isHovered ) {
+			states.push( 'hover' )
+		}
+
+		if ( props.isPressed ) {
+			states.push( 'pressed' )
+		}
+
+		return states
+	}
+
+	/**
+	 * Merge widget and child methods (see `BaseComponent()`).
+	 *
+	 * @template SubType Child method type
+	 * @param {SubType} subTypeApi Child methods
+	 */
+	function WidgetFactory( subTypeApi ) {
+		const widgetApi = {
+			get disabled() {
+				return props.disabled
+			},
+
+			get focused() {
+				return props.isFocused
+			},
+
+			get tabIndex() {
+				return props.tabIndex
+			},
+
+			get ariaLabel() {
+				return props.ariaLabel
+			},
+
+			/**
+			 * Active state with the highest priority.
+			 *
+			 * @return {WidgetState}
+			 */
+			get state() {
+				return getActiveStates().pop()
+			},
+
+			/**
+			 * Current style, with the styles of all active states applied.
+			 *
+			 * @return {WidgetStyle}
+			 */
+			get style() {
+				return Object.assign( {}, ...getActiveStates().map( ( state ) => props.styles[ state ] ) )
+			},
+
+			/**
+			 * @param {boolean} disabled
+			 */
+			setDisabled( disabled = true ) {
+				props.disabled = disabled
+				props.isPressed = false
+				return this
+			},
+
+			/**
+			 * Set the focus state. Used by the canvas, which keeps track of the focused widget: use `Canvas.focus()` to move the focus.
+			 *
+			 * @param {boolean} focused
+			 * @param {boolean} focusVisible Show the focused style
+			 */
+			setFocused( focused = true, focusVisible = focused ) {
+				props.isFocused = focused
+				props.isFocusVisible = focused && focusVisible
+				return this
+			},
+
+			/**
+			 * @param {string} ariaLabel Name of the widget for screen readers
+			 */
+			setAriaLabel( ariaLabel ) {
+				props.ariaLabel = ariaLabel
+				return this
+			},
+
+			/**
+			 * Update hover and pressed states. Used by the canvas when the pointer interacts with the widget.
+			 *
+			 * @param {{hovered?: boolean, pressed?: boolean}} state
+			 */
+			setPointerState( { hovered = props.isHovered, pressed = props.isPressed } ) {
+				props.isHovered = hovered
+				props.isPressed = pressed && ! props.disabled
+				return this
+			},
+
+			/**
+			 * Change the style of a state. Styles are merged with the current style of the state.
+			 *
+			 * @param {WidgetStyle} styles
+			 * @param {WidgetState} state
+			 */
+			setStyle( styles, state = 'normal' ) {
+				props.styles[ state ] = { ...props.styles[ state ], ...styles }
+
+				if ( this.isShown() ) {
+					canvas.requestRender()
+				}
+
+				return this
+			},
+
+			/**
+			 * Called by the canvas when the widget is pressed. Coordinates are relative to the canvas.
+			 *
+			 * @param {number} x
+			 * @param {number} y
+			 * @param {ReturnType<typeof CanvasEvent>} e
+			 */
+			pointerDown( x, y, e ) {},
+
+			/**
+			 * Called by the canvas when the pointer moves while the widget is pressed, also outside the widget.
+			 *
+			 * @param {number} x
+			 * @param {number} y
+			 */
+			pointerMove( x, y ) {},
+
+			/**
+			 * Called by the canvas when the widget is clicked, or activated with Enter or Space while focused.
+			 *
+			 * @param {ReturnType<typeof CanvasEvent>} e
+			 */
+			activate( e ) {},
+
+			/**
+			 * Called by the canvas when a key is pressed while the widget is focused, before the key is used for navigation and key bindings.
+			 *
+			 * Returns `true` if the widget used the key.
+			 *
+			 * @param {KeyboardEvent} e
+			 * @return {boolean}
+			 */
+			keyDown( e ) {
+				return false
+			},
+		}
+
+		// Copy getters as getters, like `BaseComponent()` does
+		Object.defineProperties( widgetApi, Object.getOwnPropertyDescriptors( subTypeApi ) )
+
+		return superFactory( /** @type {Omit<typeof widgetApi, keyof SubType> & SubType} */ ( /** @type {unknown} */ ( widgetApi ) ) )
+	}
+
+	return /** @type {[typeof props, typeof WidgetFactory]} */ ( [ props, WidgetFactory ] )
+}
+
+/**
+ * Button component factory. A rounded rectangle with an icon and/or label, centered within the padding.
+ *
+ * Options (in addition to the widget options, see `Widget()`):
+ *
+ * [label]: Button text
+ *
+ * [icon]: Text glyph (e.g. `'▶'`), or SVG markup filled with the label color. Placed before the label.
+ *
+ * [iconSize]: Height of SVG icons. Default: the height of the font.
+ *
+ * [gap]: Space between icon and label
+ *
+ * [padding]: Space around the content, in CSS shorthand order (top, right, bottom, left). Content is centered within the padding.
+ *
+ * [radius]: Corner radius. Radii larger than half the height give a pill (or circle) shape.
+ *
+ * [width], [height]: Fixed size. By default, the button is sized to fit its content and padding.
+ *
+ * [onClick]: Called when the button is clicked
+ *
+ * @param {string} name
+ * @param {Viewport} canvas Canvas size in logical (CSS) pixels, and render scheduling
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Parameters<typeof Widget>[4] & {label?: string, icon?: string, iconSize?: number, gap?: number, padding?: number|number[], radius?: number, onClick?: (button: any, e: ReturnType<typeof CanvasEvent>) => void}} config
+ */
+function Button( name, canvas, ctx, config ) {
+	const [ superProps, superFactory ] = Widget( COMPONENTS.Button, name, canvas, ctx, config )
+
+	/**
+	 * @type {typeof superProps}
+	 */
+	const props = Object.assign( superProps, {
+		type: COMPONENTS.Button,
+		label: superProps.label ?? '',
+		gap: superProps.gap ?? 8,
+		padding: superProps.padding ?? [ 10, 20 ],
+		radius: superProps.radius ?? 0,
+	} )
+
+	/**
+	 * Parsed SVG icon, and the markup it was parsed from.
+	 *
+	 * @type {{source: string, shape: ReturnType<typeof parseSvg>}}
+	 */
+	let svgIcon
+
+	/**
+	 * Last measured content, and the label, icon and font it was measured with.
+	 *
+	 * @type {{key: string, width: number, height: number, label: {width: number, ascent: number, descent: number}, icon: {width: number, height: number, ascent: number, descent: number}}}
+	 */
+	let measured
+
+	const getShape = RoundedRect()
+
+	const api = superFactory( {
+		get width() {
+			return api.getBounds().width
+		},
+
+		get height() {
+			return api.getBounds().height
+		},
+
+		get label() {
+			return props.label
+		},
+
+		/**
+		 * @param {string} label
+		 * @return Component
+		 */
+		setLabel( label ) {
+			props.label = label
+			return api
+		},
+
+		/**
+		 * @param {string} icon Text glyph or SVG markup. Pass `undefined` to remove the icon.
+		 * @return Component
+		 */
+		setIcon( icon ) {
+			props.icon = icon
+			return api
+		},
+
+		/**
+		 * Call the `onClick` callback, unless the button is disabled.
+		 *
+		 * @param {ReturnType<typeof CanvasEvent>} e
+		 */
+		activate( e = undefined ) {
+			if ( ! props.disabled ) {
+				props.onClick?.( api, e )
+			}
+		},
+
+		/**
+		 * Get the area covered by the button. The size fits the content unless the width or height is fixed.
+		 *
+		 * @return {{x: number, y: number, width: number, height: number}}
+		 */
+		getBounds() {
+			const [ top, right, bottom, left ] = expandMargin( props.padding )
+			const content = props.width === undefined || props.height === undefined ? measureContent() : undefined
+
+			return {
+				x: props.x,
+				y: props.y,
+				width: props.width ?? left + content.width + right,
+				height: props.height ?? top + content.height + bottom,
+			}
+		},
+
+		/**
+		 * Check if x/y coordinates (e.g. from mouse position) are within the button shape.
+		 *
+		 * Coordinates are relative to the canvas.
+		 *
+		 * @param {number} x
+		 * @param {number} y
+		 */
+		isPointInPath( x, y ) {
+			if ( ! props.visible ) {
+				return false
+			}
+
+			const [ localX, localY ] = api.toLocalPoint( x, y )
+
+			ctx.save()
+			ctx.resetTransform()
+			const isInPath = ctx.isPointInPath( getShape( api.getBounds(), props.radius ), localX, localY )
+			ctx.restore()
+
+			return isInPath
+		},
+
+		render() {
+			if ( ! props.visible ) {
+				return
+			}
+
+			const style = api.style
+			const bounds = api.getBounds()
+			const [ top, right, bottom, left ] = expandMargin( props.padding )
+			const content = measureContent()
+
+			ctx.save()
+			api.applyTransform()
+
+			fillWidgetShape( ctx, getShape( bounds, props.radius ), style )
+			strokeWidgetOutline( ctx, bounds, props.radius, style )
+
+			ctx.fillStyle = style.color
+			ctx.font = style.font
+			ctx.textAlign = 'left'
+			ctx.textBaseline = 'alphabetic'
+
+			let x = bounds.x + left + ( ( bounds.width - left - right - content.width ) / 2 )
+			const centerY = bounds.y + top + ( ( bounds.height - top - bottom ) / 2 )
+
+			// Each part is centered vertically by the ink it covers, so glyphs without descenders are not drawn too high
+			if ( content.icon ) {
+				const { icon } = content
+
+				if ( svgIcon?.shape ) {
+					const scale = icon.height / svgIcon.shape.height
+					const iconPath = new Path2D()
+					iconPath.addPath( svgIcon.shape.path2d, new Matrix().translateSelf( x, centerY - ( icon.height / 2 ) ).scaleSelf( scale ) )
+					ctx.fill( iconPath, svgIcon.shape.fillRule )
+				}
+				else {
+					ctx.fillText( props.icon, x, centerY + ( ( icon.ascent - icon.descent ) / 2 ) )
+				}
+
+				x += icon.width + ( props.label ? props.gap : 0 )
+			}
+
+			if ( props.label ) {
+				const { label } = content
+				ctx.fillText( props.label, x, centerY + ( ( label.ascent - label.descent ) / 2 ) )
+			}
+
+			ctx.restore()
+		},
+	} )
+
+	/**
+	 * Measure the label and icon with the current font. The result is reused until the label, icon or font changes.
+	 */
+	function measureContent() {
+		const { font } = api.style
+		const key = JSON.stringify( [ props.label, props.icon, props.iconSize, props.gap, font, ! font || document.fonts.check( font ) ] )
+
+		if ( measured?.key === key ) {
+			return measured
+		}
+
+		ctx.save()
+		ctx.font = font
+		ctx.textBaseline = 'alphabetic'
+
+		const labelMetrics = ctx.measureText( props.label )
+		const fontHeight = labelMetrics.fontBoundingBoxAscent + labelMetrics.fontBoundingBoxDescent
+
+		const label = props.label ? { width: labelMetrics.width, ascent: labelMetrics.actualBoundingBoxAscent, descent: labelMetrics.actualBoundingBoxDescent } : undefined
+		let icon
+
+		if ( props.icon && isSvgMarkup( props.icon ) ) {
+			if ( svgIcon?.source !== props.icon ) {
+				svgIcon = { source: props.icon, shape: parseSvg( props.icon, `${ props.name } icon` ) }
+			}
+
+			const height = props.iconSize ?? fontHeight
+			const width = svgIcon.shape ? svgIcon.shape.width * ( height / svgIcon.shape.height ) : 0
+
+			icon = { width, height, ascent: height / 2, descent: height / 2 }
+		}
+		else if ( props.icon ) {
+			const iconMetrics = ctx.measureText( props.icon )
+
+			icon = {
+				width: iconMetrics.width,
+				height: iconMetrics.actualBoundingBoxAscent + iconMetrics.actualBoundingBoxDescent,
+				ascent: iconMetrics.actualBoundingBoxAscent,
+				descent: iconMetrics.actualBoundingBoxDescent,
+			}
+		}
+
+		ctx.restore()
+
+		measured = {
+			key,
+			width: ( icon?.width ?? 0 ) + ( icon && label ? props.gap : 0 ) + ( label?.width ?? 0 ),
+			height: Math.max( label ? fontHeight : 0, icon?.height ?? 0 ),
+			label,
+			icon,
+		}
+
+		return measured
+	}
+
+	return api
+}
+
+/**
+ * Toggle component factory. A switch, with an optional label to the right of it.
+ *
+ * The track is filled with the accent color when the toggle is on, and the knob with the text color.
+ *
+ * Options (in addition to the widget options, see `Widget()`):
+ *
+ * [value]: Whether the toggle is on. Default: `false`.
+ *
+ * [label]: Text shown next to the switch
+ *
+ * [size]: Height of the switch. The switch is twice as wide as it is high. Default: 26.
+ *
+ * [gap]: Space between switch and label
+ *
+ * [onChange]: Called when the value is changed by the user
+ *
+ * @param {string} name
+ * @param {Viewport} canvas Canvas size in logical (CSS) pixels, and render scheduling
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Parameters<typeof Widget>[4] & {value?: boolean, label?: string, size?: number, gap?: number, onChange?: (value: boolean, toggle: any) => void}} config
+ */
+function Toggle( name, canvas, ctx, config ) {
+	const [ superProps, superFactory ] = Widget( COMPONENTS.Toggle, name, canvas, ctx, config )
+
+	/**
+	 * @type {typeof superProps}
+	 */
+	const props = Object.assign( superProps, {
+		type: COMPONENTS.Toggle,
+		value: superProps.value ?? false,
+		label: superProps.label ?? '',
+		size: superProps.size ?? 26,
+		gap: superProps.gap ?? 10,
+	} )
+
+	const getTrack = RoundedRect()
+
+	const api = superFactory( {
+		get width() {
+			return api.getBounds().width
+		},
+
+		get height() {
+			return api.getBounds().height
+		},
+
+		get value() {
+			return props.value
+		},
+
+		get label() {
+			return props.label
+		},
+
+		/**
+		 * Set the value without calling `onChange`.
+		 *
+		 * @param {boolean} value
+		 * @return Component
+		 */
+		setValue( value ) {
+			props.value = value
+			return api
+		},
+
+		/**
+		 * @param {string} label
+		 * @return Component
+		 */
+		setLabel( label ) {
+			props.label = label
+			return api
+		},
+
+		/**
+		 * Switch the value and call `onChange`, unless the toggle is disabled.
+		 *
+		 * @param {ReturnType<typeof CanvasEvent>} e
+		 */
+		activate( e = undefined ) {
+			if ( props.disabled ) {
+				return
+			}
+
+			props.value = ! props.value
+			props.onChange?.( props.value, api )
+		},
+
+		/**
+		 * Get the area covered by the switch and label.
+		 *
+		 * @return {{x: number, y: number, width: number, height: number}}
+		 */
+		getBounds() {
+			const label = measureLabel()
+
+			return {
+				x: props.x,
+				y: props.y,
+				width: ( props.size * 2 ) + ( label ? props.gap + label.width : 0 ),
+				height: Math.max( props.size, label?.height ?? 0 ),
+			}
+		},
+
+		/**
+		 * Check if x/y coordinates (e.g. from mouse position) are within the switch or label.
+		 *
+		 * @param {number} x
+		 * @param {number} y
+		 */
+		isPointInPath( x, y ) {
+			if ( ! props.visible ) {
+				return false
+			}
+
+			const [ localX, localY ] = api.toLocalPoint( x, y )
+			const bounds = api.getBounds()
+
+			return localX >= bounds.x && localX < bounds.x + bounds.width && localY >= bounds.y && localY < bounds.y + bounds.height
+		},
+
+		render() {
+			if ( ! props.visible ) {
+				return
+			}
+
+			const style = api.style
+			const bounds = api.getBounds()
+			const centerY = bounds.y + ( bounds.height / 2 )
+			const track = { x: bounds.x, y: centerY - ( props.size / 2 ), width: props.size * 2, height: props.size }
+
+			ctx.save()
+			api.applyTransform()
+
+			fillWidgetShape( ctx, getTrack( track, props.size / 2 ), { ...style, fillStyle: props.value ? style.accentColor : style.fillStyle } )
+			strokeWidgetOutline( ctx, track, props.size / 2, style )
+
+			// Knob
+			const knobRadius = ( props.size / 2 ) - 3
+			const knobX = props.value ? track.x + track.width - ( props.size / 2 ) : track.x + ( props.size / 2 )
+
+			ctx.fillStyle = style.color
+			ctx.beginPath()
+			ctx.arc( knobX, centerY, knobRadius, 0, 2 * Math.PI )
+			ctx.fill()
+
+			const label = measureLabel()
+
+			if ( label ) {
+				ctx.font = style.font
+				ctx.textAlign = 'left'
+				ctx.textBaseline = 'alphabetic'
+				ctx.fillText( props.label, track.x + track.width + props.gap, centerY + ( ( label.ascent - label.descent ) / 2 ) )
+			}
+
+			ctx.restore()
+		},
+	} )
+
+	/**
+	 * Measure the label with the current font.
+	 */
+	function measureLabel() {
+		if ( ! props.label ) {
+			return undefined
+		}
+
+		ctx.save()
+		ctx.font = api.style.font
+		ctx.textBaseline = 'alphabetic'
+		const metrics = ctx.measureText( props.label )
+		ctx.restore()
+
+		return {
+			width: metrics.width,
+			height: metrics.fontBoundingBoxAscent + metrics.fontBoundingBoxDescent,
+			ascent: metrics.actualBoundingBoxAscent,
+			descent: metrics.actualBoundingBoxDescent,
+		}
+	}
+
+	return api
+}
+
+/**
+ * Slider component factory. A horizontal track with a knob, for picking a number in a range.
+ *
+ * The part of the track left of the knob is filled with the accent color, the rest with the fill color. The knob is filled with the text color, and outlined with the stroke style.
+ *
+ * Options (in addition to the widget options, see `Widget()`):
+ *
+ * [min], [max]: Range of the value. Default: 0 to 1.
+ *
+ * [step]: Values are rounded to multiples of the step (counted from `min`). Default: `0` (no rounding).
+ *
+ * [value]: Default: `min`.
+ *
+ * [width]: Width of the track. Default: 200.
+ *
+ * [height]: Size of the knob. Default: 24.
+ *
+ * [onChange]: Called when the value is changed by the user
+ *
+ * @param {string} name
+ * @param {Viewport} canvas Canvas size in logical (CSS) pixels, and render scheduling
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Parameters<typeof Widget>[4] & {min?: number, max?: number, step?: number, value?: number, onChange?: (value: number, slider: any) => void}} config
+ */
+function Slider( name, canvas, ctx, config ) {
+	const [ superProps, superFactory ] = Widget( COMPONENTS.Slider, name, canvas, ctx, config )
+
+	/**
+	 * @type {typeof superProps}
+	 */
+	const props = Object.assign( superProps, {
+		type: COMPONENTS.Slider,
+		min: superProps.min ?? 0,
+		max: superProps.max ?? 1,
+		step: superProps.step ?? 0,
+		width: superProps.width ?? 200,
+		height: superProps.height ?? 24,
+	} )
+
+	props.value = clampValue( superProps.value ?? props.min )
+
+	const getTrack = RoundedRect()
+
+	const api = superFactory( {
+		get value() {
+			return props.value
+		},
+
+		get min() {
+			return props.min
+		},
+
+		get max() {
+			return props.max
+		},
+
+		get step() {
+			return props.step
+		},
+
+		/**
+		 * Set the value without calling `onChange`. The value is clamped to the range, and rounded to the step.
+		 *
+		 * @param {number} value
+		 * @return Component
+		 */
+		setValue( value ) {
+			props.value = clampValue( value )
+			return api
+		},
+
+		/**
+		 * @param {number} min
+		 * @param {number} max
+		 * @param {number} step
+		 * @return Component
+		 */
+		setRange( min, max, step = props.step ) {
+			Object.assign( props, { min, max, step } )
+			props.value = clampValue( props.value )
+			return api
+		},
+
+		/**
+		 * Change the value with the arrow keys (one step), Page Up and Page Down (ten steps), and Home and End (min and max). Sliders without a step move by a hundredth of the range.
+		 *
+		 * @param {KeyboardEvent} e
+		 */
+		keyDown( e ) {
+			const step = props.step || ( ( props.max - props.min ) / 100 )
+
+			const values = {
+				ArrowLeft: props.value - step,
+				ArrowDown: props.value - step,
+				ArrowRight: props.value + step,
+				ArrowUp: props.value + step,
+				PageDown: props.value - ( step * 10 ),
+				PageUp: props.value + ( step * 10 ),
+				Home: props.min,
+				End: props.max,
+			}
+
+			if ( ! ( e.key in values ) || props.disabled ) {
+				return false
+			}
+
+			changeValue( values[ e.key ] )
+
+			return true
+		},
+
+		/**
+		 * Move the knob to the pointer.
+		 *
+		 * @param {number} x
+		 * @param {number} y
+		 */
+		pointerDown( x, y ) {
+			setValueAt( x, y )
+		},
+
+		/**
+		 * Drag the knob.
+		 *
+		 * @param {number} x
+		 * @param {number} y
+		 */
+		pointerMove( x, y ) {
+			setValueAt( x, y )
+		},
+
+		/**
+		 * Check if x/y coordinates (e.g. from mouse position) are within the slider, including the knob.
+		 *
+		 * @param {number} x
+		 * @param {number} y
+		 */
+		isPointInPath( x, y ) {
+			if ( ! props.visible ) {
+				return false
+			}
+
+			const [ localX, localY ] = api.toLocalPoint( x, y )
+
+			return localX >= props.x && localX < props.x + props.width && localY >= props.y && localY < props.y + props.height
+		},
+
+		render() {
+			if ( ! props.visible ) {
+				return
+			}
+
+			const style = api.style
+			const radius = props.height / 2
+			const trackHeight = Math.max( props.height / 4, 2 )
+			const centerY = props.y + radius
+			const knobX = getKnobX()
+			const track = { x: props.x, y: centerY - ( trackHeight / 2 ), width: props.width, height: trackHeight }
+
+			ctx.save()
+			api.applyTransform()
+
+			ctx.fillStyle = style.fillStyle
+			ctx.fill( getTrack( track, trackHeight / 2 ) )
+
+			ctx.fillStyle = style.accentColor
+			ctx.beginPath()
+			addRoundedRect( ctx, track.x, track.y, knobX - track.x, trackHeight, trackHeight / 2 )
+			ctx.fill()
+
+			const knob = new Path2D()
+			knob.arc( knobX, centerY, radius, 0, 2 * Math.PI )
+
+			fillWidgetShape( ctx, knob, { ...style, fillStyle: style.color } )
+			strokeWidgetOutline( ctx, { x: knobX - radius, y: centerY - radius, width: radius * 2, height: radius * 2 }, radius, style )
+
+			ctx.restore()
+		},
+	} )
+
+	/**
+	 * Clamp a value to the range, and round it to the step.
+	 *
+	 * @param {number} value
+	 */
+	function clampValue( value ) {
+		const stepped = props.step > 0 ? props.min + ( Math.round( ( value - props.min ) / props.step ) * props.step ) : value
+		return Math.min( Math.max( stepped, props.min ), props.max )
+	}
+
+	/**
+	 * Distance the center of the knob moves from the minimum to the maximum value. At least 1, so sliders that are not wider than they are high still work.
+	 */
+	function getKnobSpan() {
+		return Math.max( props.width - props.height, 1 )
+	}
+
+	/**
+	 * Horizontal position of the center of the knob. The knob stays within the slider.
+	 */
+	function getKnobX() {
+		const radius = props.height / 2
+		const range = props.max - props.min
+		const fraction = range ? ( props.value - props.min ) / range : 0
+
+		return props.x + radius + ( getKnobSpan() * fraction )
+	}
+
+	/**
+	 * Set the value from the position of the pointer, and call `onChange` if it changed.
+	 *
+	 * @param {number} x
+	 * @param {number} y
+	 */
+	function setValueAt( x, y ) {
+		if ( props.disabled ) {
+			return
+		}
+
+		const [ localX ] = api.toLocalPoint( x, y )
+		const radius = props.height / 2
+		const fraction = Math.min( Math.max( ( localX - props.x - radius ) / getKnobSpan(), 0 ), 1 )
+
+		changeValue( props.min + ( ( props.max - props.min ) * fraction ) )
+	}
+
+	/**
+	 * Set the value as the user, i.e. call `onChange` if it changed.
+	 *
+	 * @param {number} newValue Clamped to the range, and rounded to the step.
+	 */
+	function changeValue( newValue ) {
+		const value = clampValue( newValue )
+
+		if ( value !== props.value ) {
+			props.value = value
+			props.onChange?.( value, api )
+		}
+	}
+
+	return api
+}
+
+/**
+ * Text input component factory. A single line text box, drawn on the canvas.
+ *
+ * Keyboard input is received by a hidden `<input>` element (see `element`), which keeps the text, caret and selection. This gives text inputs the keyboard shortcuts, input methods and on-screen keyboards of the browser.
+ *
+ * Pressing the text input places the caret, and dragging selects text.
+ *
+ * Options (in addition to the widget options, see `Widget()`):
+ *
+ * [value]: Text
+ *
+ * [placeholder]: Text shown while the input is empty
+ *
+ * [maxLength]: Max number of characters
+ *
+ * [width]: Default: 240. The height fits the font and padding.
+ *
+ * [padding]: Space around the text, in CSS shorthand order (top, right, bottom, left)
+ *
+ * [radius]: Corner radius
+ *
+ * [onChange]: Called when the text is changed by the user
+ *
+ * [onSubmit]: Called when Enter is pressed
+ *
+ * @param {string} name
+ * @param {Viewport} canvas Canvas size in logical (CSS) pixels, and render scheduling
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Parameters<typeof Widget>[4] & {value?: string, placeholder?: string, maxLength?: number, padding?: number|number[], radius?: number, onChange?: (value: string, input: any) => void, onSubmit?: (value: string, input: any) => void}} config
+ */
+function TextInput( name, canvas, ctx, config ) {
+	const [ superProps, superFactory ] = Widget( COMPONENTS.TextInput, name, canvas, ctx, config )
+
+	/**
+	 * @type {typeof superProps & {isCaretVisible: boolean}}
+	 */
+	const props = Object.assign( superProps, {
+		type: COMPONENTS.TextInput,
+		placeholder: superProps.placeholder ?? '',
+		width: superProps.width ?? 240,
+		padding: superProps.padding ?? [ 8, 10 ],
+		radius: superProps.radius ?? 0,
+		isCaretVisible: false,
+	} )
+
+	const element = document.createElement( 'input' )
+
+	element.type = 'text'
+	element.autocomplete = 'off'
+	element.placeholder = props.placeholder
+
+	if ( props.maxLength !== undefined ) {
+		element.maxLength = props.maxLength
+	}
+
+	element.value = ( props.value ?? '' ).slice( 0, props.maxLength )
+	props.value = element.value
+
+	// Hidden, but still focusable. A 16px font stops mobile browsers from zooming in when the input is focused.
+	Object.assign( element.style, { position: 'absolute', left: '0', top: '0', width: '1px', height: '1px', padding: '0', border: '0', opacity: '0', pointerEvents: 'none', fontSize: '16px' } )
+
+	/**
+	 * Character index the selection started at, while selecting text with the pointer.
+	 *
+	 * @type {number}
+	 */
+	let selectionAnchor
+
+	/**
+	 * Time the caret blink started, reset when the text or caret changes so the caret is shown while typing.
+	 */
+	let blinkStart = 0
+
+	let isBlinking = false
+
+	/**
+	 * Horizontal scroll position of the text, which keeps the caret in view.
+	 */
+	let scrollX = 0
+
+	const getShape = RoundedRect()
+
+	const api = superFactory( {
+		get width() {
+			return props.width
+		},
+
+		get height() {
+			return api.getBounds().height
+		},
+
+		get value() {
+			return props.value
+		},
+
+		/**
+		 * Hidden input element that receives keyboard input.
+		 */
+		get element() {
+			return element
+		},
+
+		/**
+		 * Set the text without calling `onChange`. The text is cut to the max length.
+		 *
+		 * @param {string} value
+		 * @return Component
+		 */
+		setValue( value ) {
+			element.value = value.slice( 0, props.maxLength )
+			props.value = element.value
+			return api
+		},
+
+		/**
+		 * @param {boolean} disabled
+		 * @return Component
+		 */
+		setDisabled( disabled = true ) {
+			props.disabled = disabled
+			props.isPressed = false
+			element.disabled = disabled
+
+			return api
+		},
+
+		/**
+		 * Focus the text input, so it receives keyboard input.
+		 */
+		focus() {
+			if ( ! props.disabled ) {
+				element.focus( { preventScroll: true } )
+			}
+
+			return api
+		},
+
+		blur() {
+			element.blur()
+			return api
+		},
+
+		/**
+		 * Focus the input and place the caret at the pointer.
+		 *
+		 * @param {number} x
+		 * @param {number} y
+		 * @param {ReturnType<typeof CanvasEvent>} e
+		 */
+		pointerDown( x, y, e ) {
+			if ( props.disabled ) {
+				return
+			}
+
+			// Keep the browser from moving focus to the canvas after the input is focused
+			e.preventDefault()
+			api.focus()
+
+			selectionAnchor = getIndexAt( x, y )
+			element.setSelectionRange( selectionAnchor, selectionAnchor )
+			showCaret()
+		},
+
+		/**
+		 * Select text from the caret to the pointer.
+		 *
+		 * @param {number} x
+		 * @param {number} y
+		 */
+		pointerMove( x, y ) {
+			if ( selectionAnchor === undefined || props.disabled ) {
+				return
+			}
+
+			const index = getIndexAt( x, y )
+
+			element.setSelectionRange( Math.min( selectionAnchor, index ), Math.max( selectionAnchor, index ), index < selectionAnchor ? 'backward' : 'forward' )
+			showCaret()
+		},
+
+		/**
+		 * Focus the input when it is clicked (or tapped: mobile browsers only show the keyboard when an input is focused after a tap).
+		 *
+		 * @param {ReturnType<typeof CanvasEvent>} e
+		 */
+		activate( e = undefined ) {
+			selectionAnchor = undefined
+			api.focus()
+		},
+
+		/**
+		 * Get the area covered by the text box. The height fits the font and padding.
+		 *
+		 * @return {{x: number, y: number, width: number, height: number}}
+		 */
+		getBounds() {
+			const [ top, , bottom ] = expandMargin( props.padding )
+
+			return {
+				x: props.x,
+				y: props.y,
+				width: props.width,
+				height: props.height ?? top + measureFont().height + bottom,
+			}
+		},
+
+		/**
+		 * Check if x/y coordinates (e.g. from mouse position) are within the text box.
+		 *
+		 * @param {number} x
+		 * @param {number} y
+		 */
+		isPointInPath( x, y ) {
+			if ( ! props.visible ) {
+				return false
+			}
+
+			const [ localX, localY ] = api.toLocalPoint( x, y )
+
+			ctx.save()
+			ctx.resetTransform()
+			const isInPath = ctx.isPointInPath( getShape( api.getBounds(), props.radius ), localX, localY )
+			ctx.restore()
+
+			return isInPath
+		},
+
+		render() {
+			if ( ! props.visible ) {
+				return
+			}
+
+			const style = api.style
+			const bounds = api.getBounds()
+			const [ top, right, bottom, left ] = expandMargin( props.padding )
+			const textBox = { x: bounds.x + left, y: bounds.y + top, width: bounds.width - left - right, height: bounds.height - top - bottom }
+			const font = measureFont()
+			const baseline = textBox.y + ( textBox.height / 2 ) + ( ( font.ascent - font.descent ) / 2 )
+
+			ctx.save()
+			api.applyTransform()
+
+			const shape = getShape( bounds, props.radius )
+			fillWidgetShape( ctx, shape, style )
+			strokeWidgetOutline( ctx, bounds, props.radius, style )
+
+			ctx.clip( shape )
+			ctx.font = style.font
+			ctx.textAlign = 'left'
+			ctx.textBaseline = 'alphabetic'
+
+			if ( ! props.value ) {
+				ctx.globalAlpha *= 0.5
+				ctx.fillStyle = style.color
+				ctx.fillText( props.placeholder, textBox.x, baseline )
+				ctx.globalAlpha /= 0.5
+			}
+
+			const { selectionStart, selectionEnd, selectionDirection } = element
+			const caretIndex = selectionDirection === 'backward' ? selectionStart : selectionEnd
+			const caretX = ctx.measureText( props.value.slice( 0, caretIndex ) ).width
+
+			// Scroll the text to keep the caret in view
+			scrollX = Math.min( Math.max( scrollX, caretX - textBox.width ), caretX )
+			scrollX = Math.max( 0, Math.min( scrollX, ctx.measureText( props.value ).width - textBox.width ) )
+
+			const textX = textBox.x - scrollX
+
+			if ( props.isFocused && selectionStart !== selectionEnd ) {
+				const startX = ctx.measureText( props.value.slice( 0, selectionStart ) ).width
+				const endX = ctx.measureText( props.value.slice( 0, selectionEnd ) ).width
+
+				ctx.fillStyle = style.accentColor
+				ctx.fillRect( textX + startX, textBox.y, endX - startX, textBox.height )
+			}
+
+			ctx.fillStyle = style.color
+			ctx.fillText( props.value, textX, baseline )
+
+			if ( props.isFocused && props.isCaretVisible && selectionStart === selectionEnd ) {
+				ctx.fillRect( Math.round( textX + caretX ), textBox.y, 1, textBox.height )
+			}
+
+			ctx.restore()
+		},
+	} )
+
+	/**
+	 * Measure the height of the font.
+	 */
+	function measureFont() {
+		ctx.save()
+		ctx.font = api.style.font
+		ctx.textBaseline = 'alphabetic'
+		const metrics = ctx.measureText( 'M' )
+		ctx.restore()
+
+		return {
+			height: metrics.fontBoundingBoxAscent + metrics.fontBoundingBoxDescent,
+			ascent: metrics.actualBoundingBoxAscent,
+			descent: metrics.actualBoundingBoxDescent,
+		}
+	}
+
+	/**
+	 * Find the character boundary closest to canvas coordinates.
+	 *
+	 * @param {number} x
+	 * @param {number} y
+	 */
+	function getIndexAt( x, y ) {
+		const [ localX ] = api.toLocalPoint( x, y )
+		const [ , , , left ] = expandMargin( props.padding )
+		const textX = localX - props.x - left + scrollX
+
+		ctx.save()
+		ctx.font = api.style.font
+
+		let index = 0
+		let closest = Infinity
+
+		for ( let i = 0; i <= props.value.length; i++ ) {
+			const distance = Math.abs( ctx.measureText( props.value.slice( 0, i ) ).width - textX )
+
+			if ( distance < closest ) {
+				closest = distance
+				index = i
+			}
+		}
+
+		ctx.restore()
+
+		return index
+	}
+
+	/**
+	 * Show the caret and restart its blink, e.g. after typing.
+	 */
+	function showCaret() {
+		blinkStart = performance.now()
+		props.isCaretVisible = true
+		canvas.requestRender()
+	}
+
+	/**
+	 * Blink the caret while the input is focused. Driven by the canvas animation clock.
+	 *
+	 * @param {number} timeStamp
+	 */
+	function blinkCaret( timeStamp ) {
+		if ( ! props.isFocused ) {
+			props.isCaretVisible = false
+			isBlinking = false
+			return
+		}
+
+		props.isCaretVisible = Math.floor( ( timeStamp - blinkStart ) / CARET_BLINK_INTERVAL ) % 2 === 0
+		canvas.requestFrame( blinkCaret )
+	}
+
+	element.addEventListener( 'input', () => {
+		props.value = element.value
+		showCaret()
+		props.onChange?.( props.value, api )
+	} )
+
+	element.addEventListener( 'keydown', ( e ) => {
+		if ( e.key === 'Enter' ) {
+			props.onSubmit?.( props.value, api )
+		}
+		else if ( e.key === 'Escape' ) {
+			element.blur()
+		}
+
+		// Arrow keys and shortcuts move the caret or selection after the event
+		showCaret()
+	} )
+
+	element.addEventListener( 'select', () => canvas.requestRender() )
+
+	element.addEventListener( 'focus', () => {
+		api.setFocused( true )
+		showCaret()
+
+		if ( ! isBlinking ) {
+			isBlinking = true
+			canvas.requestFrame( blinkCaret )
+		}
+	} )
+
+	element.addEventListener( 'blur', () => {
+		selectionAnchor = undefined
+		api.setFocused( false )
+	} )
+
+	return api
+}
+
+/**
+ * Create a rounded rectangle path builder, which reuses the path until the bounds or radius change.
+ */
+function RoundedRect() {
+	/**
+	 * @type {{key: string, path2d: Path2D}}
+	 */
+	let shape
+
+	/**
+	 * @param {{x: number, y: number, width: number, height: number}} bounds
+	 * @param {number} radius Clamped to half the width and height.
+	 */
+	return ( { x, y, width, height }, radius ) => {
+		const key = [ x, y, width, height, radius ].join()
+
+		if ( shape?.key !== key ) {
+			const path2d = new Path2D()
+			addRoundedRect( path2d, x, y, width, height, Math.max( Math.min( radius, width / 2, height / 2 ), 0 ) )
+
+			shape = { key, path2d }
+		}
+
+		return shape.path2d
+	}
+}
+
+/**
+ * Add a rounded rectangle to a path. Falls back to a plain rectangle in browsers without `roundRect()`.
+ *
+ * @param {CanvasRenderingContext2D|Path2D} path
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius
+ */
+function addRoundedRect( path, x, y, width, height, radius ) {
+	if ( typeof path.roundRect === 'function' ) {
+		path.roundRect( x, y, width, height, radius )
+	}
+	else {
+		path.rect( x, y, width, height )
+	}
+}
+
+/**
+ * Fill and outline a widget shape with the shape styles of a widget style. The shadow only applies to the shape.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Path2D} path2d
+ * @param {WidgetStyle} style
+ */
+function fillWidgetShape( ctx, path2d, style ) {
+	ctx.save()
+
+	ctx.fillStyle = style.fillStyle
+	ctx.shadowColor = style.shadowColor ?? 'rgb(0 0 0 / 0)'
+	ctx.shadowBlur = style.shadowBlur ?? 0
+	ctx.shadowOffsetX = style.shadowOffsetX ?? 0
+	ctx.shadowOffsetY = style.shadowOffsetY ?? 0
+	ctx.fill( path2d )
+
+	if ( style.lineWidth ) {
+		ctx.strokeStyle = style.strokeStyle
+		ctx.lineWidth = style.lineWidth
+		ctx.stroke( path2d )
+	}
+
+	ctx.restore()
+}
+
+/**
+ * Draw the outline of a widget style (e.g. the focus ring) around a rounded rectangle, outside the rectangle by the outline offset.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{x: number, y: number, width: number, height: number}} bounds
+ * @param {number} radius Corner radius of the rectangle. The outline corners are rounded to match.
+ * @param {WidgetStyle} style
+ */
+function strokeWidgetOutline( ctx, { x, y, width, height }, radius, style ) {
+	if ( ! style.outlineWidth ) {
+		return
+	}
+
+	const distance = ( style.outlineOffset ?? 0 ) + ( style.outlineWidth / 2 )
+
+	ctx.save()
+	ctx.strokeStyle = style.outlineColor
+	ctx.lineWidth = style.outlineWidth
+	ctx.beginPath()
+	addRoundedRect( ctx, x - distance, y - distance, width + ( distance * 2 ), height + ( distance * 2 ), Math.max( Math.min( radius, width / 2, height / 2 ) + distance, 0 ) )
+	ctx.stroke()
+	ctx.restore()
+}
+
+/**
+ * Group component factory. A container for other components, which are positioned relative to the group and painted in z-order within it.
+ *
+ * Visibility and opacity apply to all children. Groups can be event targets: an event hits the group if it hits one of its visible children.
+ *
+ * @param {string} name
+ * @param {Viewport} canvas Canvas size in logical (CSS) pixels, and render scheduling
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Parameters<typeof BaseComponent>[4]} config
+ */
+function Group( name, canvas, ctx, config ) {
+	const [ superProps, superFactory ] = BaseComponent( COMPONENTS.Group, name, canvas, ctx, config )
+
+	/**
+	 * Children can be any component type, including groups.
+	 *
+	 * @type {typeof superProps & {children: any[]}}
+	 */
+	const props = Object.assign( superProps, {
+		type: COMPONENTS.Group,
+		children: [],
+	} )
+
+	const api = superFactory( {
+		/**
+		 * Child components, sorted by z-index.
+		 */
+		get children() {
+			return [ ...props.children ].sort( ( a, b ) => a.zIndex - b.zIndex )
+		},
+
+		/**
+		 * Add components to the group. Components are removed from their previous group.
+		 *
+		 * @param {...(ReturnType<typeof Sprite> | ReturnType<typeof Text> | ReturnType<typeof Vector> | ReturnType<typeof Group> | ReturnType<typeof Button> | ReturnType<typeof Toggle> | ReturnType<typeof Slider> | ReturnType<typeof TextInput>)} children
+		 * @return Component
+		 */
+		add( ...children ) {
+			children.forEach( ( child ) => {
+				// Children are painted with the group's context
+				if ( child.layer !== props.layer ) {
+					console.error( `Group error: '${ child.name }' is in layer '${ child.layer }', but group '${ props.name }' is in layer '${ props.layer }'.` )
+					return
+				}
+
+				child.parent?.remove( child )
+				child.setParent( api )
+				props.children.push( child )
+			} )
+
+			return api
+		},
+
+		/**
+		 * @param {ReturnType<typeof Sprite> | ReturnType<typeof Text> | ReturnType<typeof Vector> | ReturnType<typeof Group> | ReturnType<typeof Button> | ReturnType<typeof Toggle> | ReturnType<typeof Slider> | ReturnType<typeof TextInput>} child
+		 * @return Component
+		 */
+		remove( child ) {
+			const index = props.children.indexOf( child )
+
+			if ( index >= 0 ) {
+				props.children.splice( index, 1 )
+				child.setParent( undefined )
+			}
+
+			return api
+		},
+
+		/**
+		 * Get the area covered by all children.
+		 *
+		 * @return {{x: number, y: number, width: number, height: number}}
+		 */
+		getBounds() {
+			if ( ! props.children.length ) {
+				return { x: props.x, y: props.y, width: 0, height: 0 }
+			}
+
+			const boxes = props.children.map( ( child ) => child.getBounds() )
+			const left = Math.min( ...boxes.map( ( box ) => box.x ) )
+			const top = Math.min( ...boxes.map( ( box ) => box.y ) )
+			const right = Math.max( ...boxes.map( ( box ) => box.x + box.width ) )
+			const bottom = Math.max( ...boxes.map( ( box ) => box.y + box.height ) )
+
+			return { x: props.x + left, y: props.y + top, width: right - left, height: bottom - top }
+		},
+
+		/**
+		 * Check if x/y coordinates are within the boundaries of any visible child that can be hit tested.
+		 *
+		 * @param {number} x
+		 * @param {number} y
+		 */
+		isPointInPath( x, y ) {
+			return props.visible && props.children.some( ( child ) => child.visible && 'isPointInPath' in child && child.isPointInPath( x, y ) )
+		},
+
+		/**
+		 * Resize children along with the group.
+		 *
+		 * @return Component
+		 */
+		rescale() {
+			props.children.forEach( ( child ) => child.resize() )
+			return api
+		},
+
+		render() {
+			if ( props.visible ) {
+				ctx.save()
+				api.applyTransform()
+				ctx.translate( props.x, props.y )
+
+				api.children.forEach( ( child ) => child.render() )
+
+				ctx.restore()
+			}
+		},
+	} )
+
+	return api
+}
+
+/**
+ * Vector component factory. Create vector elements, including SVG paths, rectangles and circles.
+ *
+ * Vectors can be used for mouse event detection.
+ *
+ * @param {string} name
+ * @param {Viewport} canvas Canvas size in logical (CSS) pixels, and render scheduling
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Parameters<typeof BaseComponent>[4] & Parameters<typeof scaleObject>[2] & {shape?: keyof typeof SHAPES, radius?: number}} config
+ * @return {typeof api}
+ */
+function Vector( name, canvas, ctx, config ) {
+	const [ superProps, superFactory ] = BaseComponent( 'Vector', name, canvas, ctx, config )
+
+	/**
+	 * SVG file that is loading, if any.
+	 *
+	 * @type {Promise<void>}
+	 */
+	let loading
+
+	/**
+	 * Identifies the shape, position and scale `path2d` was built for. The path is only rebuilt when they change.
+	 *
+	 * @type {string}
+	 */
+	let pathKey
+
+	/**
+	 * Parsed SVG path data, before it is positioned and scaled.
+	 *
+	 * @type {{data: string|Path2D, path2d: Path2D}}
+	 */
+	let sourcePath
+
+	/**
+	 * @type {typeof superProps & {path2d: Path2D, path: string|Path2D, fillRule: CanvasFillRule, scale: number, scaling: Parameters<typeof scaleObject>[2], originalSize: { width: number, height: number}}}
+	 */
+	const props = Object.assign( superProps, {
+		type: COMPONENTS.Vector,
+		path2d: undefined,
+		path: undefined,
+		fillRule: /** @type {CanvasFillRule} */ ( 'nonzero' ),
+		scale: undefined,
+		scaling: undefined,
+		originalSize: {
+			width: undefined,
+			height: undefined,
+		},
+	} )
+
+	const api = superFactory( {
+		/**
+		 * Load SVG file. All filled shapes in the file are combined into one path (see `parseSvg()`).
+		 *
+		 * @param {string} source URL, or SVG markup (e.g. preloaded by the asset manager)
+		 * @param {Parameters<typeof scaleObject>[2]} options
+		 */
+		loadSvg( source, { scaleFactor = 1, scaleTo = undefined } ) {
+			loading = ( async() => {
+				const svg = parseSvg( await readSvgSource( source ), isSvgMarkup( source ) ? props.name : source )
+
+				if ( svg ) {
+					// Because of how Path2d works, width/height must be calculated from original values when they are resized
+					props.originalSize = { width: svg.width, height: svg.height }
+					props.path = svg.path2d
+					props.fillRule = svg.fillRule
+					pathKey = undefined
+
+					api.setScale( scaleFactor, scaleTo )
+				}
+			} )()
+
+			return loading
+		},
+
+		/**
+		 * @param {keyof typeof SHAPES} shape
+		 * @return Component
+		 */
+		setShape( shape ) {
+			props.path2d = new Path2D()
+			props.shape = shape
+			pathKey = undefined
+
+			return api
+		},
+
+		/**
+		 * Scale a shape relative to the canvas.
+		 *
+		 * Define which dimension to use: longest side, shorted side or both (combined)
+		 *
+		 * @param {number} scaleFactor
+		 * @param {'longest'|'shortest'|'combined'} scaleTo
+		 * @return Component
+		 */
+		setScale( scaleFactor, scaleTo = 'combined' ) {
+			props.scaling = { scaleFactor, scaleTo }
+			props.scale = scaleObject( { ...props.originalSize }, canvas, props.scaling )
+
+			return api
+		},
+
+		/**
+		 * Recalculate scale relative to the canvas.
+		 *
+		 * @return Component
+		 */
+		rescale() {
+			if ( props.scaling ) {
+				props.scale = scaleObject( { ...props.originalSize }, canvas, props.scaling )
+			}
+
+			return api
+		},
+
+		/**
+		 * Set radius of circle.
+		 *
+		 * @param {number} radius
+		 * @return Component
+		 */
+		setRadius( radius ) {
+			props.radius = radius ?? 100
+			return api
+		},
+
+		/**
+		 * Set position on screen (top-left corner).
+		 *
+		 * @param {number|null} x
+		 * @param {number|null} y
+		 * @return Component
+		 */
+		setPosition( x = null, y = null ) {
+			props.x = x === null ? randomInt( props.domain[ 0 ], props.domain[ 2 ] ) : x
+			props.y = y === null ? randomInt( props.domain[ 1 ], props.domain[ 3 ] ) : y
+			return api
+		},
+
+		/**
+		 * Get the area covered by the vector.
+		 *
+		 * @return {{x: number, y: number, width: number, height: number}}
+		 */
+		getBounds() {
+			if ( props.shape === SHAPES.circle ) {
+				const radius = props.radius ?? 100
+				return { x: props.x - radius, y: props.y - radius, width: radius * 2, height: radius * 2 }
+			}
+
+			if ( props.path ) {
+				const scale = props.scale ?? 1
+				return { x: props.x, y: props.y, width: props.originalSize.width * scale, height: props.originalSize.height * scale }
+			}
+
+			return { x: props.x, y: props.y, width: props.width ?? 0, height: props.height ?? 0 }
+		},
+
+		/**
+		 * Check if x/y coordinates (e.g. from mouse position) are within the boundaries of the vector.
+		 *
+		 * Coordinates are relative to the canvas, see `clientToCanvas()` for converting from mouse event coordinates.
+		 *
+		 * @param {number} x
+		 * @param {number} y
+		 */
+		isPointInPath( x, y ) {
+			// Not rendered yet
+			if ( ! props.path2d ) {
+				return false
+			}
+
+			// The path is drawn in the parent group's coordinates, before the component is rotated or scaled
+			const [ localX, localY ] = api.toLocalPoint( x, y )
+
+			// The point is not affected by the context transform, so remove the pixel ratio scaling to compare it with the path in logical coordinates
+			ctx.save()
+			ctx.resetTransform()
+			const isInPath = ctx.isPointInPath( props.path2d, localX, localY, props.fillRule )
+			ctx.restore()
+
+			return isInPath
+		},
+
+		/**
+		 * Check if external asset has loaded. Rejects if it failed to load.
+		 *
+		 * @return Component
+		 */
+		async ready() {
+			await loading
+			return api
+		},
+
+		render() {
+			if ( props.visible ) {
+				ctx.save()
+				api.applyTransform()
+				api.applyStyles()
+
+				updatePath()
+
+				if ( props.outline ) {
+					ctx.stroke( props.path2d )
+				}
+
+				if ( ! props.noFill ) {
+					ctx.fill( props.path2d, props.fillRule )
+				}
+
+				ctx.restore()
+			}
+		},
+	} )
+
+	/**
+	 * Rebuild the path if the shape, position or scale has changed since it was last built.
+	 */
+	function updatePath() {
+		const key = props.shape
+			? [ props.shape, props.x, props.y, props.width, props.height, props.radius ].join()
+			: [ props.path, props.x, props.y, props.scale ].join()
+
+		if ( key === pathKey ) {
+			return
+		}
+
+		pathKey = key
+
+		if ( props.shape ) {
+			createShape()
+		}
+		else {
+			transform()
+		}
+	}
+
+	function createShape() {
+		props.path2d = new Path2D()
+
+		if ( props.shape === SHAPES.rectangle ) {
+			props.path2d.rect( props.x, props.y, props.width, props.height )
+		}
+		else if ( props.shape === SHAPES.circle ) {
+			api.setRadius( props.radius )
+			props.path2d.arc( props.x, props.y, props.radius, 0, 2 * Math.PI )
+		}
+	}
+
+	/**
+	 * Scale or translate SVG path data loaded into Path2d.
+	 */
+	function transform() {
+		// SVG paths can only be resized using DOMMatrix.
+		const mx = new Matrix().translateSelf( props.x, props.y )
+
+		if ( props.scale !== undefined ) {
+			mx.scaleSelf( props.scale )
+		}
+
+		// The SVG path data only has to be parsed once
+		if ( ! sourcePath || sourcePath.data !== props.path ) {
+			sourcePath = { data: props.path, path2d: props.path instanceof Path2D ? props.path : new Path2D( props.path ) }
+		}
+
+		// Path2D paths can be transformed by DOMMatrix, but not if loaded in the constructor
+		props.path2d = new Path2D()
+		props.path2d.addPath( sourcePath.path2d, mx )
+	}
+
+	api.setSize( props.width, props.height )
+	api.setDomain( { autoDomainMargin: true } )
+
+	if ( props.shape ) {
+		api.setShape( props.shape )
+	}
+
+	return api
+}
+
+/**
+ * Sprite component factory. Load external image or SVG file.
+ *
+ * Sprites can be animated with a sprite sheet: each frame is a part of the image, and named clips play a sequence of frames. Clips are driven by the canvas animation clock.
+ *
+ * Options:
+ *
+ * [sheet]: Sprite sheet layout (see `SpriteSheet`). The sprite is sized and scaled by its first frame.
+ *
+ * [clips]: Named animation clips (see `SpriteClip`)
+ *
+ * [autoplay]: Clip that starts playing when the sprite is loaded
+ *
+ * Sprites can be event targets. Options:
+ *
+ * [hitMode]: How events are matched to the sprite (see `HitMode`). Default: `shape` if a hit shape is attached, otherwise `bounds`.
+ *
+ * [hitShape]: SVG file (see `parseSvg()`) stretched over the sprite, used for `shape` hit testing
+ *
+ * [drawHitShape]: Draw the hit shape over the image, with the sprite's styles
+ *
+ * [alphaThreshold]: Minimum alpha value (0-255) of pixels that are hit in `alpha` mode. Default: 128.
+ *
+ * @example
+ * canvas.addSprite( 'bug', 'sprites/bee_sheet.svg', {
+ * 	sheet: { frameWidth: 100, frameHeight: 130 },
+ * 	clips: { fly: { frames: [ 0, 1 ], fps: 12, loop: true } },
+ * 	autoplay: 'fly',
+ * } )
+ *
+ * @param {string} name
+ * @param {Viewport} canvas Canvas size in logical (CSS) pixels, and render scheduling
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Parameters<typeof BaseComponent>[4] & {svg?: boolean, autoDomainMargin?: boolean, sheet?: SpriteSheet, clips?: {[clipName: string]: SpriteClip}, autoplay?: string, hitMode?: HitMode, hitShape?: string, drawHitShape?: boolean, alphaThreshold?: number} & Parameters<typeof scaleObject>[2]} config
+ * @return {typeof api}
+ */
+function Sprite( name, canvas, ctx, config ) {
+	const [ superProps, superFactory ] = BaseComponent( 'Sprite', name, canvas, ctx, config )
+	const spriteLoader = SpriteLoader()
+
+	/**
+	 * @type {typeof superProps & {img: HTMLImageElement, scaling: Parameters<typeof scaleObject>[2], frames: SpriteFrame[], frameIndex: number, frameScale: number, hitMode: HitMode, alphaThreshold: number}}
+	 */
+	const props = Object.assign( superProps, {
+		type: COMPONENTS.Sprite,
+		img: undefined,
+		scaling: undefined,
+		frames: undefined,
+		frameIndex: 0,
+		frameScale: 1,
+		hitMode: config.hitMode ?? ( config.hitShape ? 'shape' : 'bounds' ),
+		alphaThreshold: config.alphaThreshold ?? 128,
+	} )
+
+	/**
+	 * Parsed hit shape, in SVG pixels.
+	 *
+	 * @type {ReturnType<typeof parseSvg>}
+	 */
+	let hitShape
+
+	/**
+	 * Hit shape positioned and scaled over the sprite, and the position and size it was built for.
+	 *
+	 * @type {{key: string, path2d: Path2D}}
+	 */
+	let hitShapePath
+
+	/**
+	 * Alpha values of the image, computed once when they are first needed. Large images are sampled at a lower resolution.
+	 *
+	 * @type {{data: Uint8ClampedArray, width: number, height: number, scale: number}}
+	 */
+	let alphaMask
+
+	/**
+	 * @type {Promise<void>}
+	 */
+	let loading
+
+	/**
+	 * Clip that is currently playing. `resume` restarts its frames after it was suspended while the sprite was not shown.
+	 *
+	 * @type {{name: string, resolve: (isComplete: boolean) => void, resume: () => void}}
+	 */
+	let playback
+
+	const api = superFactory( {
+		/**
+		 * Current frame number.
+		 */
+		get frame() {
+			return props.frameIndex
+		},
+
+		get frameCount() {
+			return props.frames?.length ?? 1
+		},
+
+		/**
+		 * Name of the clip that is playing, if any.
+		 */
+		get clip() {
+			return playback?.name
+		},
+
+		get hitMode() {
+			return props.hitMode
+		},
+
+		/**
+		 * @param {string|HTMLImageElement} source URL, or image (e.g. preloaded by the asset manager)
+		 * @param {{svg?: boolean, autoDomainMargin?: boolean, sheet?: SpriteSheet, hitShape?: string} & Parameters<typeof scaleObject>[2]} options `hitShape`: URL or SVG markup.
+		 */
+		loadSprite( source, { autoDomainMargin = true, svg = false, scaleFactor = undefined, scaleTo = undefined, fitToCanvas = undefined, sheet = undefined, hitShape: hitShapeSource = undefined } ) {
+			loading = ( async() => {
+				props.img = await spriteLoader.loadSprite( source, svg )
+
+				if ( sheet ) {
+					props.frames = 'atlas' in sheet ? await getAtlasFrames( sheet.atlas ) : getGridFrames( props.img, sheet )
+				}
+
+				if ( hitShapeSource ) {
+					hitShape = parseSvg( await readSvgSource( hitShapeSource ), isSvgMarkup( hitShapeSource ) ? props.name : hitShapeSource )
+				}
+
+				if ( props.hitMode === 'alpha' ) {
+					getAlphaMask()
 				}
 
-				if ( ! props.noFill ) {
-					ctx.fillText( props.text, props.x, props.y )
+				if ( fitToCanvas ) {
+					props.scaling = { fitToCanvas }
+				}
+				else if ( scaleFactor ) {
+					props.scaling = { scaleFactor, scaleTo }
+				}
+
+				applyScaling()
+				api.setDomain( { autoDomainMargin } )
+
+				if ( props.autoplay ) {
+					api.play( props.autoplay )
+				}
+			} )()
+
+			return loading
+		},
+
+		/**
+		 * @param {number} scaleFactor
+		 * @param {'longest'|'shortest'|'combined'} scaleTo
+		 * @return Component
+		 */
+		setScale( scaleFactor, scaleTo ) {
+			props.scaling = { scaleFactor, scaleTo }
+			applyScaling()
+			api.setDomain( { autoDomainMargin: props.autoDomainMargin } )
+			return api
+		},
+
+		/**
+		 * Recalculate scale relative to the canvas.
+		 *
+		 * @return Component
+		 */
+		rescale() {
+			if ( props.scaling && props.img ) {
+				applyScaling()
+			}
+
+			return api
+		},
+
+		/**
+		 * Check if the image has loaded. Rejects if it failed to load.
+		 *
+		 * @return Component
+		 */
+		async ready() {
+			await loading
+			return api
+		},
+
+		/**
+		 * Play an animation clip, replacing the clip that is currently playing. The clip is suspended while the sprite is not shown.
+		 *
+		 * Returns a promise that resolves with `true` when the clip is complete, or `false` if it is stopped or replaced. Clips that loop until stopped never complete.
+		 *
+		 * @param {string} clipName
+		 * @return {Promise<boolean>}
+		 */
+		play( clipName ) {
+			const clip = props.clips?.[ clipName ]
+
+			if ( ! clip || ! props.frames ) {
+				console.error( `Sprite error: clip not found (${ clipName }).` )
+				return Promise.resolve( false )
+			}
+
+			api.stop()
+
+			const frames = ( clip.frames ?? props.frames.map( ( _, i ) => i ) ).map( getFrameIndex )
+			const { fps = 12, loop = false } = clip
+			const playCount = loop === true ? Infinity : Number( loop ) + 1
+
+			if ( frames.includes( undefined ) ) {
+				return Promise.resolve( false )
+			}
+
+			const [ done, resolve ] = resolver( false )
+
+			/** @type {number} */
+			let startTime
+
+			// Time played before the clip was suspended
+			let elapsed = 0
+			let isSuspended = false
+
+			/**
+			 * @param {number} timeStamp
+			 */
+			const frame = ( timeStamp ) => {
+				// Stopped or replaced by another clip
+				if ( playback !== current ) {
+					return
+				}
+
+				// Hidden sprites do not request frames. The clip resumes where it was when the sprite is painted again.
+				if ( ! api.isShown() ) {
+					elapsed = timeStamp - ( startTime ?? timeStamp )
+					startTime = undefined
+					isSuspended = true
+					return
+				}
+
+				startTime ??= timeStamp - elapsed
+				const frameNumber = Math.floor( ( ( timeStamp - startTime ) * fps ) / 1000 )
+
+				if ( frameNumber >= frames.length * playCount ) {
+					showFrame( frames[ frames.length - 1 ] )
+					playback = undefined
+					resolve( true )
+					return
+				}
+
+				showFrame( frames[ frameNumber % frames.length ] )
+				canvas.requestFrame( frame )
+			}
+
+			const current = {
+				name: clipName,
+				resolve,
+				resume: () => {
+					if ( isSuspended ) {
+						isSuspended = false
+						canvas.requestFrame( frame )
+					}
+				},
+			}
+
+			playback = current
+			showFrame( frames[ 0 ] )
+			canvas.requestFrame( frame )
+
+			return done
+		},
+
+		/**
+		 * Stop the clip that is currently playing. The current frame stays visible.
+		 *
+		 * @return Component
+		 */
+		stop() {
+			if ( playback ) {
+				const { resolve } = playback
+				playback = undefined
+				resolve( false )
+			}
+
+			return api
+		},
+
+		/**
+		 * Set how pointer events are matched to the sprite.
+		 *
+		 * @param {HitMode} hitMode
+		 * @return Component
+		 */
+		setHitMode( hitMode ) {
+			props.hitMode = hitMode
+
+			if ( hitMode === 'alpha' && props.img ) {
+				getAlphaMask()
+			}
+
+			return api
+		},
+
+		/**
+		 * Check if x/y coordinates (e.g. from mouse position) hit the sprite, using the hit mode of the sprite.
+		 *
+		 * Coordinates are relative to the canvas.
+		 *
+		 * @param {number} x
+		 * @param {number} y
+		 */
+		isPointInPath( x, y ) {
+			if ( ! props.visible || ! props.img || ! props.width || ! props.height ) {
+				return false
+			}
+
+			// Position within the sprite, from 0 to 1
+			const [ localX, localY ] = api.toLocalPoint( x, y )
+			const u = ( localX - props.x ) / props.width
+			const v = ( localY - props.y ) / props.height
+
+			if ( u < 0 || u >= 1 || v < 0 || v >= 1 ) {
+				return false
+			}
+
+			if ( props.hitMode === 'shape' ) {
+				if ( ! hitShape ) {
+					return false
+				}
+
+				ctx.save()
+				ctx.resetTransform()
+				const isInPath = ctx.isPointInPath( hitShape.path2d, u * hitShape.width, v * hitShape.height, hitShape.fillRule )
+				ctx.restore()
+
+				return isInPath
+			}
+
+			if ( props.hitMode === 'alpha' ) {
+				const mask = getAlphaMask()
+
+				if ( ! mask ) {
+					return true
+				}
+
+				const frame = props.frames?.[ props.frameIndex ] ?? { x: 0, y: 0, width: props.img.naturalWidth, height: props.img.naturalHeight }
+				const maskX = Math.floor( ( frame.x + ( u * frame.width ) ) * mask.scale )
+				const maskY = Math.floor( ( frame.y + ( v * frame.height ) ) * mask.scale )
+
+				return mask.data[ ( maskY * mask.width ) + maskX ] >= props.alphaThreshold
+			}
+
+			return true
+		},
+
+		/**
+		 * Stop the current clip and show a frame.
+		 *
+		 * @param {number|string} frame Frame number or atlas frame name.
+		 * @return Component
+		 */
+		gotoFrame( frame ) {
+			const frameIndex = getFrameIndex( frame )
+
+			if ( frameIndex !== undefined ) {
+				api.stop()
+				showFrame( frameIndex )
+			}
+
+			return api
+		},
+
+		render() {
+			if ( props.visible ) {
+				playback?.resume()
+
+				const frame = props.frames?.[ props.frameIndex ]
+
+				ctx.save()
+				api.applyTransform()
+
+				if ( frame ) {
+					ctx.drawImage( props.img, frame.x, frame.y, frame.width, frame.height, props.x, props.y, props.width, props.height )
+				}
+				else {
+					ctx.drawImage( props.img, props.x, props.y, props.width, props.height )
+				}
+
+				if ( props.drawHitShape && hitShape ) {
+					drawHitShape()
 				}
 
 				ctx.restore()
 			}
 		},
+
 	} )
 
+	/**
+	 * Scale the image, or the sprite sheet frames, and update the size of the sprite.
+	 */
+	function applyScaling() {
+		if ( ! props.frames ) {
+			if ( props.scaling ) {
+				scaleObject( props.img, canvas, props.scaling )
+			}
+
+			api.setSize( props.img.width, props.img.height )
+			return
+		}
+
+		// The sheet image is not scaled, since frames are drawn from its original size
+		const [ firstFrame ] = props.frames
+		const size = { width: firstFrame.width, height: firstFrame.height }
+
+		if ( props.scaling ) {
+			scaleObject( size, canvas, props.scaling )
+		}
+
+		props.frameScale = size.width / firstFrame.width
+		showFrame( props.frameIndex )
+	}
+
+	/**
+	 * @param {number} frameIndex
+	 */
+	function showFrame( frameIndex ) {
+		const frame = props.frames[ frameIndex ]
+
+		props.frameIndex = frameIndex
+		api.setSize( frame.width * props.frameScale, frame.height * props.frameScale )
+	}
+
+	/**
+	 * Fill and outline the hit shape with the sprite's styles.
+	 */
+	function drawHitShape() {
+		const key = [ props.x, props.y, props.width, props.height ].join()
+
+		if ( hitShapePath?.key !== key ) {
+			const mx = new Matrix()
+				.translateSelf( props.x, props.y )
+				.scaleSelf( props.width / hitShape.width, props.height / hitShape.height )
+
+			hitShapePath = { key, path2d: new Path2D() }
+			hitShapePath.path2d.addPath( hitShape.path2d, mx )
+		}
+
+		api.applyStyles()
+
+		if ( props.outline ) {
+			ctx.stroke( hitShapePath.path2d )
+		}
+
+		if ( ! props.noFill ) {
+			ctx.fill( hitShapePath.path2d, hitShape.fillRule )
+		}
+	}
+
+	/**
+	 * Read the alpha channel of the image. Returns `undefined` if the image data can not be read (e.g. cross-origin images).
+	 */
+	function getAlphaMask() {
+		if ( alphaMask ) {
+			return alphaMask
+		}
+
+		const { naturalWidth, naturalHeight } = props.img
+		const scale = Math.min( 1, Math.sqrt( ALPHA_MASK_MAX_PIXELS / ( naturalWidth * naturalHeight ) ) )
+		const width = Math.max( 1, Math.round( naturalWidth * scale ) )
+		const height = Math.max( 1, Math.round( naturalHeight * scale ) )
+
+		try {
+			const maskCanvas = typeof OffscreenCanvas === 'function' ? new OffscreenCanvas( width, height ) : Object.assign( document.createElement( 'canvas' ), { width, height } )
+			/** @type {CanvasRenderingContext2D} */
+			// @ts-ignore
+			const maskCtx = maskCanvas.getContext( '2d' )
+			maskCtx.drawImage( props.img, 0, 0, width, height )
+
+			const { data } = maskCtx.getImageData( 0, 0, width, height )
+			const alpha = new Uint8ClampedArray( width * height )
+
+			for ( let i = 0; i < alpha.length; i++ ) {
+				alpha[ i ] = data[ ( i * 4 ) + 3 ]
+			}
+
+			alphaMask = { data: alpha, width, height, scale: width / naturalWidth }
+		}
+		catch ( err ) {
+			console.error( `Sprite error: cannot read image data of ${ props.name }, using bounding box for hit testing.`, err )
+			props.hitMode = 'bounds'
+		}
+
+		return alphaMask
+	}
+
+	/**
+	 * Resolve a frame number or atlas frame name to a frame number.
+	 *
+	 * @param {number|string} frame
+	 */
+	function getFrameIndex( frame ) {
+		const frameIndex = typeof frame === 'string' ? props.frames?.findIndex( ( f ) => f.name === frame ) : frame
+
+		if ( props.frames?.[ frameIndex ] === undefined ) {
+			console.error( `Sprite error: frame not found (${ frame }).` )
+			return undefined
+		}
+
+		return frameIndex
+	}
+
+	/**
+	 * Load image or SVG file.
+	 */
+	function SpriteLoader() {
+		/**
+		* @param {string|HTMLImageElement} source URL, or image that is already loaded
+		* @param {boolean} svg
+		*/
+		async function loadSprite( source, svg ) {
+			if ( typeof source !== 'string' ) {
+				return source
+			}
+
+			return loadImage( svg ? await loadSvg( source ) : source )
+		}
+
+		return {
+			loadSprite,
+		}
+	}
+
 	return api
 }
 
 /**
- * Vector component factory. Create vector elements, including SVG paths, rectangles and circles.
+ * Read the current value of a tweenable component property.
+ *
+ * @param {CanvasComponent} component
+ * @param {string} property
+ */
+function getTweenValue( component, property ) {
+	if ( canvasStyleKeys.includes( /** @type {typeof canvasStyleKeys[number]} */ ( property ) ) ) {
+		return component.styles[ property ]
+	}
+
+	return component[ property ]
+}
+
+/**
+ * Create a function that returns the value of a property at a given point of a tween.
+ *
+ * Returns `undefined` if the property can not be animated between the two values.
+ *
+ * @param {string} property
+ * @param {number|string} start
+ * @param {number|string} end
+ * @return {(t: number) => number|string}
+ */
+function getInterpolator( property, start, end ) {
+	if ( ! TWEEN_PROPERTIES.includes( property ) ) {
+		return undefined
+	}
+
+	if ( typeof end === 'number' ) {
+		const from = typeof start === 'number' ? start : 0
+		return ( t ) => from + ( ( end - from ) * t )
+	}
+
+	// Unset colors fade in from transparent
+	return interpolateColor( typeof start === 'string' ? start : 'rgba(0 0 0 / 0)', end )
+}
+
+/**
+ * Apply tweened property values to a component.
+ *
+ * @param {CanvasComponent} component
+ * @param {TweenProperties} values
+ */
+function setTweenValues( component, values ) {
+	const { x, y, width, height, opacity, rotation, scaleX, scaleY, ...styles } = values
+
+	if ( x !== undefined || y !== undefined ) {
+		component.setPosition( x ?? component.x, y ?? component.y )
+	}
+
+	if ( width !== undefined || height !== undefined ) {
+		component.setSize( width ?? component.width, height ?? component.height )
+	}
+
+	if ( opacity !== undefined ) {
+		component.setOpacity( opacity )
+	}
+
+	if ( rotation !== undefined || scaleX !== undefined || scaleY !== undefined ) {
+		component.setTransform( { rotation, scaleX, scaleY } )
+	}
+
+	if ( Object.keys( styles ).length ) {
+		component.setStyle( styles )
+	}
+}
+
+/**
+ * Convert a length in pixels or percent (e.g. `'50%'`) to pixels.
+ *
+ * @param {number|string} value
+ * @param {number} size Size that percentages are relative to
+ */
+function resolveLength( value, size ) {
+	if ( typeof value === 'string' && value.trim().endsWith( '%' ) ) {
+		return ( parseFloat( value ) / 100 ) * size
+	}
+
+	return parseFloat( String( value ) ) || 0
+}
+
+/**
+ * Expand CSS style margin shorthand (1, 2, 3 or 4 values) to `[top, right, bottom, left]`.
+ *
+ * @param {number|number[]} margin
+ * @return {[number, number, number, number]}
+ */
+function expandMargin( margin ) {
+	const [ top = 0, right = top, bottom = top, left = right ] = Array.isArray( margin ) ? margin : [ margin ]
+	return [ top, right, bottom, left ]
+}
+
+/**
+ * Get the position and size of the area the canvas content is drawn in, in viewport (client) coordinates.
+ *
+ * The bounding rectangle includes the effect of CSS transforms, but not the border and padding offsets, which are measured before transforms and must be scaled to match.
+ *
+ * @param {HTMLCanvasElement} canvas
+ */
+function getContentBox( canvas ) {
+	const rect = canvas.getBoundingClientRect()
+	const style = getComputedStyle( canvas )
+
+	const scaleX = canvas.offsetWidth ? rect.width / canvas.offsetWidth : 1
+	const scaleY = canvas.offsetHeight ? rect.height / canvas.offsetHeight : 1
+
+	const paddingLeft = parseFloat( style.paddingLeft ) || 0
+	const paddingRight = parseFloat( style.paddingRight ) || 0
+	const paddingTop = parseFloat( style.paddingTop ) || 0
+	const paddingBottom = parseFloat( style.paddingBottom ) || 0
+
+	return {
+		left: rect.left + ( ( canvas.clientLeft + paddingLeft ) * scaleX ),
+		top: rect.top + ( ( canvas.clientTop + paddingTop ) * scaleY ),
+		width: ( canvas.clientWidth - paddingLeft - paddingRight ) * scaleX,
+		height: ( canvas.clientHeight - paddingTop - paddingBottom ) * scaleY,
+	}
+}
+
+/**
+ * Check which dimensions of the canvas are sized with CSS. A dimension that is not sized with CSS is displayed at the size of the backing store.
  *
- * Vectors can be used for mouse event detection.
+ * Canvases that are not displayed have no size, so they are treated as not sized with CSS.
  *
- * @param {string} name
  * @param {HTMLCanvasElement} canvas
- * @param {CanvasRenderingContext2D} ctx
- * @param {Parameters<typeof BaseComponent>[4] & Parameters<typeof scaleObject>[2] & {shape?: keyof typeof SHAPES, radius?: number}} config
- * @return {typeof api}
  */
-function Vector( name, canvas, ctx, config ) {
-	const [ superProps, superFactory ] = BaseComponent( 'Vector', name, canvas, ctx, config )
-	const [ svgFile, setSvgFileLoaded ] = resolver()
-
-	/**
-	 * @type {typeof superProps & {path2d: Path2D, path: string, scale: number, originalSize: { width: number, height: number}}}
-	 */
-	const props = Object.assign( superProps, {
-		type: COMPONENTS.Vector,
-		path2d: undefined,
-		path: undefined,
-		scale: undefined,
-		originalSize: {
-			width: undefined,
-			height: undefined,
-		},
-	} )
-
-	const api = superFactory( {
-		/**
-		 * Load SVG file.
-		 *
-		 * @param {string} svgUrl
-		 * @param {Parameters<typeof scaleObject>[2]} options
-		 */
-		async loadSvg( svgUrl, { scaleFactor = 1, scaleTo = undefined } ) {
-			const svg = await loadFile( svgUrl )
+function getCssSizing( canvas ) {
+	const style = getComputedStyle( canvas )
 
-			const svgContainer = document.createElement( 'div' )
-			svgContainer.innerHTML = svg
+	const contentWidth = canvas.clientWidth - ( parseFloat( style.paddingLeft ) || 0 ) - ( parseFloat( style.paddingRight ) || 0 )
+	const contentHeight = canvas.clientHeight - ( parseFloat( style.paddingTop ) || 0 ) - ( parseFloat( style.paddingBottom ) || 0 )
 
-			const svgEl = svgContainer.firstElementChild
-			const width = parseInt( svgEl.attributes.getNamedItem( 'width' ).value )
-			const height = parseInt( svgEl.attributes.getNamedItem( 'height' ).value )
+	return {
+		width: canvas.clientWidth > 0 && contentWidth !== canvas.width,
+		height: canvas.clientHeight > 0 && contentHeight !== canvas.height,
+	}
+}
 
-			// Because of how Path2d works, width/height must be calculated from original values when they are resized
-			props.originalSize = { width, height }
-			props.path = svgEl.querySelector( 'path' ).attributes.getNamedItem( 'd' ).value
+/**
+ * Normalize a `KeyboardEvent.key` value for matching key bindings. Letters are matched regardless of case.
+ *
+ * @param {string} key
+ */
+function normalizeKey( key ) {
+	return key.length === 1 ? key.toLowerCase() : key
+}
 
-			api.setScale( scaleFactor, scaleTo )
-			setSvgFileLoaded()
+/**
+ * Event object factory. Passed to event callbacks registered with `addEvent()`.
+ *
+ * @param {string} type
+ * @param {MouseEvent|KeyboardEvent} originalEvent The DOM event that triggered the canvas event. Widgets activated with the keyboard receive a `click` event with the key event.
+ * @param {number} x
+ * @param {number} y
+ */
+function CanvasEvent( type, originalEvent, x, y ) {
+	let isPropagationStopped = false
+	let isImmediatePropagationStopped = false
+
+	return {
+		type,
+		originalEvent,
+		x,
+		y,
+
+		get isPropagationStopped() {
+			return isPropagationStopped
 		},
 
-		/**
-		 * @param {keyof typeof SHAPES} shape
-		 * @return Component
-		 */
-		setShape( shape ) {
-			props.path2d = new Path2D()
-			props.shape = shape
-
-			return api
+		get isImmediatePropagationStopped() {
+			return isImmediatePropagationStopped
 		},
 
 		/**
-		 * Scale a shape relative to the canvas.
-		 *
-		 * Define which dimension to use: longest side, shorted side or both (combined)
-		 *
-		 * @param {number} scaleFactor
-		 * @param {'longest'|'shortest'|'combined'} scaleTo
-		 * @return Component
+		 * Prevent components painted below the current target from receiving the event.
 		 */
-		setScale( scaleFactor, scaleTo = 'combined' ) {
-			props.scale = scaleObject( { ...props.originalSize }, canvas, { scaleFactor, scaleTo } )
-
-			return api
+		stopPropagation() {
+			isPropagationStopped = true
 		},
 
 		/**
-		 * Set radius of circle.
-		 *
-		 * @param {number} radius
-		 * @return Component
+		 * Prevent remaining listeners, on the current target and those below it, from receiving the event.
 		 */
-		setRadius( radius ) {
-			props.radius = radius ?? 100
-			return api
+		stopImmediatePropagation() {
+			isPropagationStopped = true
+			isImmediatePropagationStopped = true
 		},
 
-		/**
-		 * Set position on screen (top-left corner).
-		 *
-		 * @param {number|null} x
-		 * @param {number|null} y
-		 * @return Component
-		 */
-		setPosition( x = null, y = null ) {
-			props.x = x === null ? randomInt( props.domain[ 0 ], props.domain[ 2 ] ) : x
-			props.y = y === null ? randomInt( props.domain[ 1 ], props.domain[ 3 ] ) : y
-			return api
+		preventDefault() {
+			originalEvent.preventDefault()
 		},
+	}
+}
 
-		/**
-		 * Check if x/y coordinates (e.g. from mouse position) are within the boundaries of the vector.
-		 *
-		 * Note: Does not work if document scrollY|scrollX > 0!
-		 *
-		 * @param {number} x
-		 * @param {number} y
-		 */
-		isPointInPath( x, y ) {
-			return ctx.isPointInPath( props.path2d, x, y )
-		},
+/**
+ * Split a sprite sheet image into a grid of frames, numbered left to right and top to bottom.
+ *
+ * @param {HTMLImageElement} img
+ * @param {{frameWidth: number, frameHeight: number, count?: number, margin?: number, spacing?: number}} sheet
+ * @return {SpriteFrame[]}
+ */
+function getGridFrames( img, { frameWidth, frameHeight, count = undefined, margin = 0, spacing = 0 } ) {
+	const columns = Math.floor( ( img.naturalWidth - ( 2 * margin ) + spacing ) / ( frameWidth + spacing ) )
+	const rows = Math.floor( ( img.naturalHeight - ( 2 * margin ) + spacing ) / ( frameHeight + spacing ) )
+
+	return Array.from( { length: count ?? columns * rows }, ( _, i ) => ( {
+		x: margin + ( ( i % columns ) * ( frameWidth + spacing ) ),
+		y: margin + ( Math.floor( i / columns ) * ( frameHeight + spacing ) ),
+		width: frameWidth,
+		height: frameHeight,
+	} ) )
+}
 
-		/**
-		 * Check if external asset has loaded.
-		 *
-		 * @return Component
-		 */
-		async ready() {
-			await svgFile
-			return api
-		},
+/**
+ * Read the frames of a JSON sprite atlas, in TexturePacker hash (`{frames: {name: {frame}}}`) or array (`{frames: [{filename, frame}]}`) format.
+ *
+ * @param {string|{frames: any}} atlas URL or parsed atlas.
+ * @return {Promise<SpriteFrame[]>}
+ */
+async function getAtlasFrames( atlas ) {
+	const data = typeof atlas === 'string' ? await importJson( atlas ) : atlas
+
+	/** @type {[string, {frame: {x: number, y: number, w: number, h: number}}][]} */
+	const entries = Array.isArray( data.frames )
+		? data.frames.map( ( entry ) => [ entry.filename, entry ] )
+		: Object.entries( data.frames )
+
+	return entries.map( ( [ frameName, { frame } ] ) => ( {
+		name: frameName,
+		x: frame.x,
+		y: frame.y,
+		width: frame.w,
+		height: frame.h,
+	} ) )
+}
 
-		render() {
-			if ( props.visible ) {
-				ctx.save()
-				api.applyStyles()
+/**
+ * @param {string} source
+ */
+function isSvgMarkup( source ) {
+	return source.trimStart().startsWith( '<' )
+}
 
-				if ( props.shape ) {
-					createShape()
-					props.path2d = new Path2D( props.path2d )
-				}
-				else {
-					transform()
-				}
+/**
+ * Read an SVG file, unless the source is SVG markup already.
+ *
+ * @param {string} source URL or SVG markup
+ */
+async function readSvgSource( source ) {
+	return isSvgMarkup( source ) ? source : loadFile( source )
+}
 
-				if ( props.outline ) {
-					ctx.stroke( props.path2d )
-				}
+/**
+ * SVG elements that are combined into the path.
+ */
+const SVG_SHAPES = [ 'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon' ]
 
-				if ( ! props.noFill ) {
-					ctx.fill( props.path2d )
-				}
+/**
+ * SVG elements whose children are part of the path.
+ */
+const SVG_CONTAINERS = [ 'g', 'a', 'switch' ]
 
-				ctx.restore()
-			}
-		},
-	} )
+/**
+ * SVG elements that are not drawn directly, and are skipped along with their children.
+ */
+const SVG_IGNORED = [ 'defs', 'title', 'desc', 'metadata', 'style', 'script', 'clipPath', 'mask', 'pattern', 'marker', 'symbol', 'linearGradient', 'radialGradient', 'filter' ]
 
-	function createShape() {
-		props.path2d = new Path2D()
+/**
+ * Parse an SVG file into a single compound path.
+ *
+ * All filled shape elements (see `SVG_SHAPES`) are combined, with their `transform` attributes applied. The path is mapped from the `viewBox` to the `width` and `height` of the SVG, so the path coordinates are in SVG pixels. Shapes with `fill: none` (e.g. artboard backgrounds) and hidden elements are skipped.
+ *
+ * The fill rule of the root element (`fill-rule`) is used for the whole path.
+ *
+ * Unsupported elements (e.g. `<text>`, `<image>` and `<use>`) are skipped with an error. Returns `undefined` if the file is not a valid SVG.
+ *
+ * @param {string} source SVG markup.
+ * @param {string} url Used in error messages.
+ * @return {{width: number, height: number, path2d: Path2D, fillRule: CanvasFillRule}}
+ */
+function parseSvg( source, url ) {
+	const doc = new DOMParser().parseFromString( source, 'image/svg+xml' )
+	const root = doc.documentElement
 
-		if ( props.shape === SHAPES.rectangle ) {
-			props.path2d.rect( props.x, props.y, props.width, props.height )
-		}
-		else if ( props.shape === SHAPES.circle ) {
-			api.setRadius( props.radius )
-			props.path2d.arc( props.x, props.y, props.radius, 0, 2 * Math.PI )
+	if ( doc.querySelector( 'parsererror' ) || root.nodeName !== 'svg' ) {
+		console.error( `SVG error: file is not a valid SVG (${ url }).` )
+		return undefined
+	}
+
+	const viewBox = root.getAttribute( 'viewBox' )?.trim().split( /[\s,]+/ ).map( Number )
+	const hasViewBox = viewBox?.length === 4 && viewBox.every( Number.isFinite ) && viewBox[ 2 ] > 0 && viewBox[ 3 ] > 0
+
+	const width = parseFloat( root.getAttribute( 'width' ) ) || ( hasViewBox ? viewBox[ 2 ] : undefined )
+	const height = parseFloat( root.getAttribute( 'height' ) ) || ( hasViewBox ? viewBox[ 3 ] : undefined )
+
+	if ( ! width || ! height ) {
+		console.error( `SVG error: missing width/height and viewBox (${ url }).` )
+		return undefined
+	}
+
+	const rootMatrix = new Matrix()
+
+	if ( hasViewBox ) {
+		const [ minX, minY, viewBoxWidth, viewBoxHeight ] = viewBox
+		let scaleX = width / viewBoxWidth
+		let scaleY = height / viewBoxHeight
+
+		// Only the default alignment (centered) is supported when the aspect ratio is preserved
+		if ( root.getAttribute( 'preserveAspectRatio' )?.trim() !== 'none' ) {
+			scaleX = scaleY = Math.min( scaleX, scaleY )
 		}
+
+		rootMatrix
+			.translateSelf( ( width - ( viewBoxWidth * scaleX ) ) / 2, ( height - ( viewBoxHeight * scaleY ) ) / 2 )
+			.scaleSelf( scaleX, scaleY )
+			.translateSelf( -minX, -minY )
 	}
 
+	const path2d = new Path2D()
+
 	/**
-	 * Scale or translate SVG path data loaded into Path2d.
+	 * @param {Element} element
+	 * @param {DOMMatrix} parentMatrix
 	 */
-	function transform() {
-		// SVG paths can only be resized using DOMMatrix.
-		const mx = new Matrix( `translate(${ props.x }px, ${ props.y }px)` )
+	const addElement = ( element, parentMatrix ) => {
+		const type = element.localName
 
-		if ( props.scale !== undefined ) {
-			mx.scaleSelf( props.scale )
+		if ( SVG_IGNORED.includes( type ) || getSvgStyle( element, 'display' ) === 'none' ) {
+			return
 		}
 
-		// Path2D paths can be transformed by DOMMatrix, but not if loaded in the constructor
-		props.path2d = new Path2D()
-		props.path2d.addPath( new Path2D( props.path ), mx )
+		const matrix = parentMatrix.multiply( parseSvgTransform( element.getAttribute( 'transform' ), url ) )
+
+		if ( element === root || SVG_CONTAINERS.includes( type ) ) {
+			Array.from( element.children ).forEach( ( child ) => addElement( child, matrix ) )
+		}
+		else if ( ! SVG_SHAPES.includes( type ) ) {
+			console.error( `SVG error: unsupported element <${ type }> skipped (${ url }).` )
+		}
+		else if ( isSvgFilled( element ) ) {
+			path2d.addPath( getSvgShapePath( element ), matrix )
+		}
 	}
 
-	api.setSize( props.width, props.height )
-	api.setDomain( { autoDomainMargin: true } )
+	addElement( root, rootMatrix )
 
-	if ( props.shape ) {
-		api.setShape( props.shape )
+	return {
+		width,
+		height,
+		path2d,
+		fillRule: getSvgStyle( root, 'fill-rule' ) === 'evenodd' ? 'evenodd' : 'nonzero',
 	}
-
-	return api
 }
 
 /**
- * Sprite component factory. Load external image or SVG file.
+ * Create the path of an SVG shape element, in its own coordinates.
  *
- * @param {string} name
- * @param {HTMLCanvasElement} canvas
- * @param {CanvasRenderingContext2D} ctx
- * @param {Parameters<typeof BaseComponent>[4] & {svg?: boolean, autoDomainMargin?: boolean} & Parameters<typeof scaleObject>[2]} config
- * @return {typeof api}
+ * @param {Element} element
  */
-function Sprite( name, canvas, ctx, config ) {
-	const [ superProps, superFactory ] = BaseComponent( 'Sprite', name, canvas, ctx, config )
-	const spriteLoader = SpriteLoader()
-
+function getSvgShapePath( element ) {
 	/**
-	 * @type {typeof superProps & {img: HTMLImageElement}}
+	 * @param {string} attribute
 	 */
-	const props = Object.assign( superProps, {
-		type: COMPONENTS.Sprite,
-		img: undefined,
-	} )
+	const num = ( attribute ) => parseFloat( element.getAttribute( attribute ) ) || 0
+	const path = new Path2D()
 
-	const api = superFactory( {
-		/**
-		 * @param {string} url
-		 * @param {{svg?: boolean, autoDomainMargin?: boolean} & Parameters<typeof scaleObject>[2]} options
-		 */
-		async loadSprite( url, { autoDomainMargin = true, svg = false, scaleFactor = undefined, scaleTo = undefined, fitToCanvas = undefined } ) {
-			props.img = await spriteLoader.loadSprite( url, svg )
+	switch ( element.localName ) {
+		case 'path':
+			return new Path2D( element.getAttribute( 'd' ) ?? '' )
+
+		case 'rect': {
+			const rx = num( 'rx' ) || num( 'ry' )
 
-			if ( fitToCanvas ) {
-				scaleObject( props.img, canvas, { fitToCanvas } )
+			if ( rx && typeof path.roundRect === 'function' ) {
+				path.roundRect( num( 'x' ), num( 'y' ), num( 'width' ), num( 'height' ), rx )
 			}
-			else if ( scaleFactor ) {
-				scaleObject( props.img, canvas, { scaleFactor, scaleTo } )
+			else {
+				path.rect( num( 'x' ), num( 'y' ), num( 'width' ), num( 'height' ) )
 			}
+			break
+		}
 
-			api.setSize( props.img.width, props.img.height )
-			api.setDomain( { autoDomainMargin } )
-		},
+		case 'circle':
+			path.arc( num( 'cx' ), num( 'cy' ), num( 'r' ), 0, 2 * Math.PI )
+			break
 
-		/**
-		 * @param {number} scaleFactor
-		 * @param {'longest'|'shortest'|'combined'} scaleTo
-		 * @return Component
-		 */
-		setScale( scaleFactor, scaleTo ) {
-			scaleObject( props.img, canvas, { scaleFactor, scaleTo } )
-			api.setSize( props.img.width, props.img.height )
-			api.setDomain( { autoDomainMargin: props.autoDomainMargin } )
-			return api
-		},
+		case 'ellipse':
+			path.ellipse( num( 'cx' ), num( 'cy' ), num( 'rx' ), num( 'ry' ), 0, 0, 2 * Math.PI )
+			break
 
-		/**
-		 * @return Component
-		 */
-		async ready() {
-			await spriteLoader.sprite
-			return api
-		},
+		case 'line':
+			path.moveTo( num( 'x1' ), num( 'y1' ) )
+			path.lineTo( num( 'x2' ), num( 'y2' ) )
+			break
 
-		render() {
-			if ( props.visible ) {
-				ctx.drawImage( props.img, props.x, props.y, props.width, props.height )
-			}
-		},
+		case 'polyline':
+		case 'polygon': {
+			const points = ( element.getAttribute( 'points' ) ?? '' ).trim().split( /[\s,]+/ ).map( Number )
 
-	} )
+			for ( let i = 0; i + 1 < points.length; i += 2 ) {
+				path.lineTo( points[ i ], points[ i + 1 ] )
+			}
 
-	/**
-	 * Load image or SVG file.
-	 */
-	function SpriteLoader() {
-		const [ sprite, setSpriteLoaded ] = resolver()
+			if ( element.localName === 'polygon' ) {
+				path.closePath()
+			}
+			break
+		}
+	}
 
-		/**
-		* @param {string} url
-		* @param {boolean} svg
-		*/
-		async function loadSprite( url, svg ) {
-			const img = new Image()
+	return path
+}
 
-			if ( svg ) {
-				img.src = await loadSvg( url )
-			}
-			else {
-				img.src = url
-			}
+/**
+ * Convert an SVG `transform` attribute to a matrix.
+ *
+ * @param {string} transform
+ * @param {string} url Used in error messages.
+ */
+function parseSvgTransform( transform, url ) {
+	const matrix = new Matrix()
 
-			img.onload = () => {
-				setSpriteLoaded( img )
-			}
+	for ( const [ , type, args ] of ( transform ?? '' ).matchAll( /(\w+)\s*\(([^)]*)\)/g ) ) {
+		const values = args.trim().split( /[\s,]+/ ).map( Number )
 
-			return sprite
+		if ( type === 'matrix' && values.length === 6 ) {
+			matrix.multiplySelf( new Matrix( values ) )
+		}
+		else if ( type === 'translate' ) {
+			matrix.translateSelf( values[ 0 ], values[ 1 ] ?? 0 )
+		}
+		else if ( type === 'scale' ) {
+			matrix.scaleSelf( values[ 0 ], values[ 1 ] ?? values[ 0 ] )
+		}
+		else if ( type === 'rotate' ) {
+			const [ angle, cx = 0, cy = 0 ] = values
+			matrix.translateSelf( cx, cy ).rotateSelf( angle ).translateSelf( -cx, -cy )
+		}
+		else if ( type === 'skewX' ) {
+			matrix.skewXSelf( values[ 0 ] )
+		}
+		else if ( type === 'skewY' ) {
+			matrix.skewYSelf( values[ 0 ] )
+		}
+		else {
+			console.error( `SVG error: unsupported transform ${ type }() ignored (${ url }).` )
 		}
+	}
 
-		return {
-			sprite,
-			loadSprite,
+	return matrix
+}
+
+/**
+ * Read a presentation attribute of an SVG element. Inline styles take precedence over attributes.
+ *
+ * @param {Element} element
+ * @param {string} property
+ */
+function getSvgStyle( element, property ) {
+	const style = element.getAttribute( 'style' ) ?? ''
+	const match = style.match( new RegExp( `(?:^|;)\\s*${ property }\\s*:\\s*([^;]+)` ) )
+
+	return ( match?.[ 1 ] ?? element.getAttribute( property ) )?.trim()
+}
+
+/**
+ * Check if an SVG shape is filled. The fill is inherited from the closest ancestor that sets it.
+ *
+ * @param {Element} element
+ */
+function isSvgFilled( element ) {
+	for ( let current = element; current; current = current.parentElement ) {
+		const fill = getSvgStyle( current, 'fill' )
+
+		if ( fill !== undefined ) {
+			return fill !== 'none'
 		}
 	}
 
-	return api
+	return true
 }
 
 /**
@@ -1,31 +1,34 @@
+import AssetManager from './assets.js'
 import Canvas from './canvas.js'
+import SceneManager from './scenes.js'
 import { delay, importJson, logIncrement } from './utils.js'
 
 const options = importJson( 'settings.json' )
 // const log = console.log.bind( console )
 
+/**
+ * @typedef {import('./scenes.js').SceneContext} SceneContext
+ */
+
+/**
+ * Files loaded while the loading screen is shown.
+ *
+ * @type {import('./assets.js').AssetEntry[]}
+ */
+const assetManifest = [
+	{ name: 'background', type: 'image', url: 'sprites/background.svg' },
+	{ name: 'bee_sheet', type: 'image', url: 'sprites/bee_sheet.svg' },
+	{ name: 'bee_shape', type: 'svg', url: 'sprites/bee_shape.svg' },
+	{ name: 'pause', type: 'svg', url: 'sprites/pause.svg' },
+	// Title font, declared by the font stylesheet in index.html
+	{ name: 'Eater', type: 'font' },
+]
+
 /** @type {Record<string, Partial<{outline: boolean, noFill: boolean} & Pick<CanvasRenderingContext2D, "fillStyle" | "lineCap" | "lineWidth" | "strokeStyle" | "shadowColor" | "shadowBlur" | "shadowOffsetX" | "shadowOffsetY" | "font" | "textAlign" | "textBaseline">>>} */
 const componentStyles = {
 	overlay: {
 		fillStyle: 'rgba(0 0 0/0.7)',
 	},
-	button: {
-		fillStyle: 'rgb(25, 153, 205)',
-		strokeStyle: 'rgba(0 0 0 / 0)',
-		lineWidth: 1,
-	},
-	buttonText: {
-		fillStyle: 'white',
-		font: 'bold 20px sans-serif',
-	},
-	buttonHover: {
-		fillStyle: 'rgb(254, 205, 11)',
-		strokeStyle: 'rgb(254, 205, 11)',
-		lineWidth: 6,
-	},
-	buttonTextHover: {
-		fillStyle: 'black',
-	},
 	bug: {
 		fillStyle: 'rgba(0 0 0 / 0)',
 		strokeStyle: 'rgba(0 0 0 / 0)',
@@ -52,6 +55,83 @@ const componentStyles = {
 	},
 }
 
+/**
+ * Button styles for each state.
+ *
+ * @type {Record<string, {[State in import('./canvas.js').WidgetState]?: import('./canvas.js').WidgetStyle}>}
+ */
+const buttonStyles = {
+	menu: {
+		normal: {
+			fillStyle: 'rgb(25, 153, 205)',
+			color: 'white',
+			font: 'bold 20px sans-serif',
+		},
+		hover: {
+			fillStyle: 'rgb(254, 205, 11)',
+			strokeStyle: 'rgb(254, 205, 11)',
+			lineWidth: 6,
+			color: 'black',
+		},
+		pressed: {
+			fillStyle: 'rgb(224, 175, 0)',
+			strokeStyle: 'rgb(224, 175, 0)',
+		},
+	},
+	start: {
+		normal: {
+			fillStyle: 'rgb(254, 205, 11)',
+			color: 'black',
+			font: '60px sans-serif',
+		},
+		hover: {
+			fillStyle: 'rgb(25, 153, 205)',
+			strokeStyle: 'rgb(25, 153, 205)',
+			lineWidth: 10,
+		},
+		// Keep the focus ring clear of the hover border
+		focused: {
+			outlineOffset: 8,
+		},
+		pressed: {
+			fillStyle: 'rgb(15, 123, 175)',
+			strokeStyle: 'rgb(15, 123, 175)',
+		},
+	},
+	// Transparent in all states, so only the pause icon and the focus ring are seen
+	pause: {
+		normal: {
+			fillStyle: 'rgb(0 0 0 / 0)',
+		},
+		hover: {
+			fillStyle: 'rgb(0 0 0 / 0)',
+		},
+		pressed: {
+			fillStyle: 'rgb(0 0 0 / 0)',
+		},
+	},
+	newGame: {
+		normal: {
+			fillStyle: 'rgb(254, 205, 1)',
+			color: 'black',
+			font: '30px sans-serif',
+		},
+		hover: {
+			fillStyle: 'black',
+			strokeStyle: 'black',
+			lineWidth: 10,
+			color: 'rgb(254, 205, 1)',
+		},
+		focused: {
+			outlineOffset: 8,
+		},
+		pressed: {
+			fillStyle: 'rgb(50 50 50)',
+			strokeStyle: 'rgb(50 50 50)',
+		},
+	},
+}
+
 /**
  * @param {Element} container
  * @param {{width: number, height: number}} config
@@ -64,7 +144,12 @@ export default async function Game( container, config ) {
 	 *
 	 * @type {ReturnType<typeof Canvas>}
 	 */
-	const canvas = Canvas( container, config.width, config.height )
+	const canvas = Canvas( container, config.width, config.height, { autoResize: true, defaultLayer: 'hud' } )
+
+	/**
+	 * Scene manager. Switching scenes fades to black by default.
+	 */
+	const scenes = SceneManager( canvas, { transition: screenTransition } )
 
 	/**
 	 * Game data
@@ -86,57 +171,47 @@ export default async function Game( container, config ) {
 	 */
 	let startLoop
 
+	/**
+	 * Stop the game loop until it is restarted.
+	 *
+	 * @type {() => void}
+	 */
+	let stopLoop
+
 	init()
 
 	async function init() {
-		canvas.addSprite( 'background', 'sprites/background.svg', {
-			svg: true,
+		const assets = await loadingScreen()
+
+		if ( ! assets ) {
+			return
+		}
+
+		canvas.addSprite( 'background', assets.get( 'background' ), {
 			fitToCanvas: true,
 			visible: false,
+			layer: 'background',
 			zIndex: 0,
 		} )
 
-		canvas.addSprite( 'bug', 'sprites/bee.svg', {
-			svg: false,
+		canvas.addSprite( 'bug', assets.get( 'bee_sheet' ), {
+			sheet: { frameWidth: 4167, frameHeight: 5438 },
+			clips: {
+				fly: { frames: [ 0, 1 ], fps: 12, loop: true },
+				squash: { frames: [ 2 ], fps: 4 },
+			},
+			autoplay: 'fly',
+			// The hit shape also shows the hit effect
+			hitShape: assets.get( 'bee_shape' ),
+			drawHitShape: true,
+			...componentStyles.bug,
+			outline: true,
 			scaleFactor: 0.15, // square screen: 0.3. long: w/h * 0.3
 			scaleTo: 'combined',
 			autoDomainMargin: true,
+			layer: 'world',
 			zIndex: 500,
 			visible: false,
-			fillStyle: 'rgba(0 0 0 / 0)',
-		} )
-
-		canvas.addVectorPath( 'bug_hit_area', 'sprites/bee_shape.svg', {
-			...componentStyles.bug,
-			visible: false,
-			scaleFactor: bugScaleFactor,
-			scaleTo: 'combined',
-			zIndex: 600,
-			outline: true,
-		} )
-
-		canvas.addVectorShape( 'start_button', {
-			shape: 'circle',
-			fillStyle: 'rgb(254, 205, 11)',
-			strokeStyle: 'rgb(0 0 0 / 0)',
-			outline: true,
-			lineWidth: 10,
-			visible: false,
-			radius: 60,
-			x: 515,
-			y: 325,
-			zIndex: 100,
-		} )
-
-		canvas.addText( 'start_button_text', {
-			text: '▶',
-			visible: false,
-			textAlign: 'center',
-			font: '60px sans-serif',
-			fillStyle: 'black',
-			zIndex: 200,
-			x: 520,
-			y: 300,
 		} )
 
 		canvas.addText( 'credit_line', {
@@ -154,103 +229,79 @@ export default async function Game( container, config ) {
 			lineWidth: 1,
 			outline: true,
 			zIndex: 200,
-			x: 520,
-			y: 200,
+			layout: { relativeTo: 'title', anchor: 'bottom', origin: 'top', margin: [ 10, 0, 0, 0 ] },
 		} )
 
-		canvas.addVectorShape( 'restart_button', {
-			...componentStyles.button,
-			shape: 'rectangle',
-			visible: false,
-			outline: true,
-			width: 150,
-			height: 40,
-			x: canvas.width - 520,
-			y: 20,
-			zIndex: 100,
-		} )
-
-		canvas.addText( 'restart_button_text', {
-			...componentStyles.buttonText,
-			text: 'New Game',
+		canvas.addText( 'instructions', {
+			...componentStyles.text,
+			text: `Smash the bug before it flies off! Every hit makes it faster.\nThe game ends after ${ maxRounds } bugs, or when you have missed ${ maxMisses } times.`,
 			visible: false,
-			textAlign: 'left',
+			textAlign: 'center',
 			textBaseline: 'top',
+			maxWidth: 460,
+			lineHeight: 28,
 			zIndex: 200,
-			x: canvas.width - 490,
-			y: 31,
+			layout: { relativeTo: 'start_button', anchor: 'bottom', origin: 'top', margin: [ 40, 0, 0, 0 ] },
 		} )
 
-		canvas.addVectorShape( 'reset_button', {
-			...componentStyles.button,
-			shape: 'rectangle',
+		canvas.addButton( 'start_button', {
+			icon: '▶',
+			ariaLabel: 'Start game',
+			width: 120,
+			height: 120,
+			radius: 60,
+			// Optical center of the play symbol is left of its bounding box center
+			padding: [ 0, 0, 0, 10 ],
+			styles: buttonStyles.start,
 			visible: false,
-			outline: true,
-			width: 150,
-			height: 40,
-			x: canvas.width - 340,
-			y: 20,
 			zIndex: 100,
+			layout: { relativeTo: 'credit_line', anchor: 'bottom', origin: 'top', margin: [ 40, 0, 0, 0 ] },
 		} )
 
-		canvas.addText( 'reset_button_text', {
-			...componentStyles.buttonText,
-			text: 'Reset Speed',
-			visible: false,
-			textAlign: 'left',
-			textBaseline: 'top',
-			zIndex: 200,
-			x: canvas.width - 320,
-			y: 31,
-		} )
+		addMenuButton( 'restart_button', { label: 'New Game' },
+			{ relativeTo: 'reset_button', anchor: 'top-left', origin: 'top-right', margin: [ 0, 30, 0, 0 ] },
+		)
 
-		canvas.addVectorShape( 'resume_button', {
-			...componentStyles.button,
-			shape: 'rectangle',
-			visible: false,
-			outline: true,
-			width: 140,
-			height: 40,
-			x: canvas.width - 160,
-			y: 20,
-			zIndex: 100,
-		} )
+		addMenuButton( 'reset_button', { label: 'Reset Speed' },
+			{ relativeTo: 'resume_button', anchor: 'top-left', origin: 'top-right', margin: [ 0, 30, 0, 0 ] },
+		)
+
+		addMenuButton( 'resume_button', { label: 'Resume', icon: '▶' },
+			{ anchor: 'top-right', margin: 20 },
+		)
 
-		canvas.addText( 'resume_button_text', {
-			...componentStyles.buttonText,
-			text: '▶  Resume',
+		canvas.addGroup( 'pause_menu', {
 			visible: false,
-			textAlign: 'right',
-			textBaseline: 'top',
-			zIndex: 200,
-			x: canvas.width - 35,
-			y: 31,
-		} )
+			zIndex: 100,
+		}, [ 'restart_button', 'reset_button', 'resume_button' ] )
 
-		canvas.addVectorPath( 'pause', 'sprites/pause.svg', {
+		const pauseIcon = canvas.addVectorPath( 'pause', assets.get( 'pause' ), {
 			...componentStyles.text,
-			visible: false,
+			visible: true,
 			scaleFactor: 0.05,
 			scaleTo: 'longest',
 			fillStyle: 'white',
 			strokeStyle: 'black',
 			lineWidth: 2,
-			zIndex: 300,
-			x: canvas.width - 60,
-			y: 20,
+			zIndex: 1,
+			layout: { anchor: 'top-right', margin: 20 },
 		} )
 
-		canvas.addVectorShape( 'pause_hit_area', {
-			shape: 'rectangle',
-			fillStyle: 'rgba(0 0 0 / 0)',
-			visible: false,
+		// The pause icon is drawn on a transparent button, so it keeps its outline, while the button can be focused and read by screen readers
+		canvas.addButton( 'pause_button', {
+			ariaLabel: 'Pause game',
 			width: 65,
 			height: 60,
-			x: canvas.width - 65,
-			y: 0,
-			zIndex: 100,
+			styles: buttonStyles.pause,
+			visible: true,
+			layout: { anchor: 'top-right' },
 		} )
 
+		canvas.addGroup( 'pause_control', {
+			visible: false,
+			zIndex: 300,
+		}, [ pauseIcon, 'pause_button' ] )
+
 		canvas.addText( 'hits', {
 			...componentStyles.text,
 			text: 'SCORE: 0',
@@ -306,8 +357,7 @@ export default async function Game( container, config ) {
 			shadowOffsetX: 5,
 			shadowOffsetY: 5,
 			zIndex: 200,
-			x: 520,
-			y: 100,
+			layout: { anchor: 'top', y: '10%' },
 		} )
 
 		canvas.addText( 'title_top', {
@@ -339,39 +389,36 @@ export default async function Game( container, config ) {
 			shadowOffsetX: 5,
 			shadowOffsetY: 5,
 			zIndex: 1000,
-			x: canvas.width / 2,
-			y: ( canvas.height / 4 ),
+			layout: { anchor: 'top', y: '25%' },
 		} )
 
-		canvas.addVectorShape( 'new_game_button', {
-			shape: 'rectangle',
+		canvas.addText( 'stats', {
+			...componentStyles.text,
+			text: '',
 			visible: false,
-			fillStyle: 'rgb(254, 205, 1)',
-			strokeStyle: 'rgb(0 0 0 / 0)',
-			lineWidth: 10,
-			outline: true,
-			width: 200,
-			height: 60,
-			x: ( canvas.width / 2 ) - 100,
-			y: ( canvas.height / 4 ) + 150,
-			zIndex: 100,
+			textAlign: 'center',
+			textBaseline: 'top',
+			font: 'bold 24px sans-serif',
+			lineHeight: 34,
+			zIndex: 1000,
+			layout: { relativeTo: 'game_over', anchor: 'bottom', origin: 'top', margin: [ 30, 0, 0, 0 ] },
 		} )
 
-		canvas.addText( 'new_game_button_text', {
-			text: 'New Game',
+		canvas.addButton( 'new_game_button', {
+			label: 'New Game',
+			width: 200,
+			height: 60,
+			radius: 8,
+			styles: buttonStyles.newGame,
 			visible: false,
-			textAlign: 'center',
-			textBaseline: 'top',
-			font: '30px sans-serif',
-			fillStyle: 'black',
-			zIndex: 200,
-			x: canvas.width / 2,
-			y: ( canvas.height / 4 ) + 165,
+			zIndex: 100,
+			layout: { relativeTo: 'stats', anchor: 'bottom', origin: 'top', margin: [ 40, 0, 0, 0 ] },
 		} )
 
 		canvas.addVectorShape( 'overlay', {
 			shape: 'rectangle',
 			visible: true,
+			layer: 'background',
 			zIndex: 1,
 			...componentStyles.overlay,
 		} )
@@ -379,61 +426,75 @@ export default async function Game( container, config ) {
 		canvas.addVectorShape( 'animated_overlay', {
 			shape: 'rectangle',
 			visible: true,
+			layer: 'overlay',
 			zIndex: 1000,
 			fillStyle: 'rgba(0 0 0 / 0)',
 		} )
 
-		// Display the loading screen for a minimum amount of time or until assets are loaded
-		await Promise.all( [ loadingScreen(), canvas.spritesLoaded() ] )
+		try {
+			await canvas.spritesLoaded()
+		}
+		catch ( err ) {
+			console.error( err )
+			showLoadingError()
+			return
+		}
 
-		canvas.deleteComponent( 'loading_text', 'Text' )
-		canvas.deleteComponent( 'loading_title', 'Text' )
+		hideLoadingScreen()
 
 		canvas.startEventListeners()
 
-		screenTransition( () => {
+		addScenes()
+
+		screenTransition( async() => {
+			canvas.deleteComponent( 'loading_text', 'Text' )
+			canvas.deleteComponent( 'loading_title', 'Text' )
+			canvas.deleteComponent( 'loading_bar', 'Vector' )
+
 			canvas.getSprite( 'background' ).show()
-			titleScreen()
+			await scenes.switchTo( 'title', undefined, { transition: null } )
 		} )
 	}
 
 	/**
+	 * Add a pause menu button.
+	 *
+	 * @param {string} name
+	 * @param {{label: string, icon?: string}} content
+	 * @param {Parameters<typeof canvas.addButton>[1]['layout']} layout
+	 */
+	function addMenuButton( name, content, layout ) {
+		return canvas.addButton( name, {
+			...content,
+			radius: 6,
+			styles: buttonStyles.menu,
+			visible: true,
+			layout,
+		} )
+	}
+
+	/**
+	 * Fade to black and back.
+	 *
 	 * @param {() => void} halfwayCallback Things to do while the screen is black.
 	 */
 	function screenTransition( halfwayCallback = undefined ) {
-		const overlay = canvas.getVector( 'animated_overlay' )
-
-		const overlayFadeIn = ( { frameCoefficient } ) => {
-			const opacity = frameCoefficient
-
-			overlay.setStyle( {
-				fillStyle: `rgba(0 0 0 / ${ opacity })`,
-			} )
-		}
-
-		const overlayFadeOut = ( { frameCoefficient } ) => {
-			const opacity = 1 - frameCoefficient
-
-			overlay.setStyle( {
-				fillStyle: `rgba(0 0 0 / ${ opacity })`,
-			} )
-		}
-
-		const overlayFadeInComplete = () => {
-			requestAnimationFrame( async() => {
-				if ( typeof halfwayCallback === 'function' ) {
-					await halfwayCallback()
-				}
-
-				canvas.animate( 'animated_overlay_fade_out', 800, overlayFadeOut )
-			} )
-		}
-
-		canvas.animate( 'animated_overlay_fade_in', 800, overlayFadeIn, overlayFadeInComplete )
+		return canvas.timeline()
+			.tween( 'animated_overlay', { fillStyle: 'rgba(0 0 0 / 1)' }, { duration: 800, easing: 'easeIn' } )
+			.call( halfwayCallback )
+			.tween( 'animated_overlay', { fillStyle: 'rgba(0 0 0 / 0)' }, { duration: 800, easing: 'easeOut' } )
+			.play()
 	}
 
+	/**
+	 * Show the loading screen while the game assets are loading.
+	 *
+	 * Returns the loaded assets, or `undefined` if an asset could not be loaded.
+	 */
 	async function loadingScreen() {
-		const title = canvas.addText( 'loading_title', {
+		const loadingBarWidth = 300
+
+		canvas.addText( 'loading_title', {
 			text: 'BUGSMASHER',
 			visible: true,
 			textBaseline: 'top',
@@ -451,7 +512,7 @@ export default async function Game( container, config ) {
 			y: 50,
 		} )
 
-		const loading = canvas.addText( 'loading_text', {
+		canvas.addText( 'loading_text', {
 			text: 'LOADING...',
 			visible: true,
 			textAlign: 'left',
@@ -470,250 +531,191 @@ export default async function Game( container, config ) {
 			y: 100,
 		} )
 
-		canvas.render()
-
-		await delay( 1000 )
-
-		canvas.animate( 'loading_screen', 500, ( { frameCoefficient } ) => {
-			const opacity = 1 - frameCoefficient
-
-			loading.setStyle( {
-				fillStyle: `rgba(255 255 255 / ${ opacity })`,
-				strokeStyle: `rgba(0 0 0 / ${ opacity })`,
-				shadowColor: `rgba(0 0 0 / ${ opacity })`,
-			} )
-
-			title.setStyle( {
-				fillStyle: `rgba(255 255 255 / ${ opacity })`,
-				strokeStyle: `rgba(0 0 0 / ${ opacity })`,
-				shadowColor: `rgba(0 0 0 / ${ opacity })`,
-			} )
+		const loadingBar = canvas.addVectorShape( 'loading_bar', {
+			shape: 'rectangle',
+			visible: true,
+			fillStyle: '#fecd0d',
+			strokeStyle: 'black',
+			lineWidth: 1,
+			outline: true,
+			zIndex: 200,
+			x: 50,
+			y: 140,
+			width: 0,
+			height: 8,
 		} )
-	}
-
-	function titleScreen() {
-		canvas.getText( 'title' ).show()
-		canvas.getText( 'credit_line' ).show()
-		canvas.getVector( 'start_button' ).show()
-		canvas.getText( 'start_button_text' ).show()
-
-		canvas.getSprite( 'bug' )
-			.setPosition( 50, 50 )
-			.show()
 
-		canvas.addClickEvent( 'start_button', ( target ) => {
-			canvas.removeClickEvent( target )
-			screenTransition( start )
+		const assets = AssetManager( {
+			onProgress: ( { progress } ) => {
+				loadingBar.setSize( loadingBarWidth * progress, null )
+			},
 		} )
 
-		canvas.addEvent( 'mousemove', 'start_button',
-			( target ) => {
-				target.saveStyle()
-				target.setStyle( {
-					fillStyle: 'rgb(25, 153, 205)',
-					strokeStyle: 'rgb(25, 153, 205)',
-				} )
-				canvas.render()
-			},
+		// Display the loading screen for a minimum amount of time or until assets are loaded
+		const [ { failed } ] = await Promise.all( [ assets.load( assetManifest ), delay( 1000 ) ] )
 
-			// Uncaptured event, used for mouse hover effect
-			() => {
-				canvas.getVector( 'start_button' ).revertStyle()
-				canvas.render()
-			},
-		)
+		// Texts fall back to other fonts, so the game can start without them
+		if ( failed.some( ( { asset } ) => asset.type !== 'font' ) ) {
+			showLoadingError()
+			return undefined
+		}
 
-		canvas.clear()
-		canvas.render()
+		return assets
 	}
 
-	function pauseScreen() {
-		if ( ! gameSession.isRunning || gameSession.isPaused ) {
-			return
-		}
+	function hideLoadingScreen() {
+		canvas.timeline( 'loading_screen' )
+			.parallel( ( timeline ) => timeline
+				.tween( 'loading_text', { opacity: 0 }, { duration: 500 } )
+				.tween( 'loading_title', { opacity: 0 }, { duration: 500 } )
+				.tween( 'loading_bar', { opacity: 0 }, { duration: 500 } ) )
+			.play()
+	}
 
-		gameSession.isPaused = true
+	/**
+	 * Replace the loading message with an error. The game can not start, so the loading screen stays up.
+	 */
+	function showLoadingError() {
+		canvas.getText( 'loading_text' )
+			.setText( 'COULD NOT LOAD THE GAME. PLEASE RELOAD THE PAGE.' )
+			.setStyle( { fillStyle: 'rgb(255, 90, 90)' } )
 
-		canvas.removeClickEvent( 'pause_hit_area' )
-		canvas.removeClickEvent( 'bug_hit_area' )
+		canvas.getVector( 'loading_bar' ).setStyle( { fillStyle: 'rgb(255, 90, 90)' } )
+	}
 
-		canvas.getVector( 'bug_hit_area' ).hide()
-		canvas.getVector( 'pause' ).hide()
-		canvas.getVector( 'pause_hit_area' ).hide()
-		canvas.getVector( 'overlay' ).setStyle( componentStyles.overlay )
+	/**
+	 * Register the game screens as scenes. Components listed in a scene are shown while it is active.
+	 */
+	function addScenes() {
+		scenes.addScene( 'title', {
+			components: [ 'title', 'credit_line', 'start_button', 'instructions', 'bug' ],
+			enter: titleScreen,
+		} )
 
-		const restart = canvas.getVector( 'restart_button' ).show()
-		const restartText = canvas.getText( 'restart_button_text' ).show()
-		const reset = canvas.getVector( 'reset_button' ).show()
-		const resetText = canvas.getText( 'reset_button_text' ).show()
-		const resume = canvas.getVector( 'resume_button' ).show()
-		const resumeText = canvas.getText( 'resume_button_text' ).show()
+		scenes.addScene( 'game', {
+			components: [ 'hits', 'misses', 'speed', 'interval', 'title_top', 'pause_control' ],
+			enter: start,
+			exit: () => {
+				gameSession.isRunning = false
+				gameSession.isPaused = false
 
-		canvas.render()
+				canvas.getSprite( 'bug' ).hide()
+			},
+			pause: () => {
+				gameSession.isPaused = true
+				stopLoop?.()
+
+				// Remove the hit effect and hold the bug still while the game is paused
+				canvas.cancelComponentAnimations( 'bug' )
+				canvas.getSprite( 'bug' ).setStyle( componentStyles.bug ).stop()
+				canvas.getGroup( 'pause_control' ).hide()
+			},
+			resume: () => {
+				gameSession.isPaused = false
+				canvas.getSprite( 'bug' ).play( 'fly' )
+				startLoop?.()
 
-		const restartButtonObserver = newMouseLeaveObserver()
-		canvas.addEvent( 'mousemove', restart,
-			() => {
-				restart.setStyle( componentStyles.buttonHover )
-				restartText.setStyle( componentStyles.buttonTextHover )
+				canvas.announce( 'Game resumed' )
+			},
+		} )
 
-				canvas.render()
+		scenes.addScene( 'pause', {
+			components: [ 'pause_menu' ],
+			enter: pauseScreen,
+		} )
 
-				if ( ! restartButtonObserver.isObserving ) {
-					restartButtonObserver.observe( restart, () => {
-						restart.setStyle( componentStyles.button )
-						restartText.setStyle( componentStyles.buttonText )
-						canvas.render()
-					} )
-				}
-			},
-		)
+		scenes.addScene( 'game_over', {
+			components: [ 'hits', 'misses', 'speed', 'interval', 'title_top', 'game_over', 'stats', 'new_game_button', 'bug' ],
+			enter: gameOverScreen,
+		} )
+	}
 
-		const resumeButtonObserver = newMouseLeaveObserver()
-		canvas.addEvent( 'mousemove', 'resume_button',
-			( target ) => {
-				resume.setStyle( componentStyles.buttonHover )
-				resumeText.setStyle( componentStyles.buttonTextHover )
-				canvas.render()
-
-				if ( ! resumeButtonObserver.isObserving ) {
-					resumeButtonObserver.observe( target, () => {
-						resume.setStyle( componentStyles.button )
-						resumeText.setStyle( componentStyles.buttonText )
-						canvas.render()
-					} )
-				}
-			},
-		)
+	/**
+	 * @param {SceneContext} scene
+	 */
+	function titleScreen( scene ) {
+		canvas.getSprite( 'bug' ).setPosition( 50, 50 )
 
-		const resetButtonObserver = newMouseLeaveObserver()
-		canvas.addEvent( 'mousemove', 'reset_button',
-			( target ) => {
-				reset.setStyle( componentStyles.buttonHover )
-				resetText.setStyle( componentStyles.buttonTextHover )
-				canvas.render()
-
-				if ( ! resetButtonObserver.isObserving ) {
-					resetButtonObserver.observe( target, () => {
-						reset.setStyle( componentStyles.button )
-						resetText.setStyle( componentStyles.buttonText )
-						canvas.render()
-					} )
-				}
-			},
-		)
+		scene.addClickEvent( 'start_button', () => {
+			scenes.switchTo( 'game' )
+		} )
+	}
 
-		canvas.addClickEvent( 'restart_button', ( target ) => {
-			canvas.removeClickEvent( target )
-			canvas.removeClickEvent( 'resume_button' )
-			canvas.removeClickEvent( 'reset_button' )
+	/**
+	 * Pause game, unless the game is not running or already paused.
+	 */
+	function pause() {
+		if ( scenes.current !== 'game' || ! gameSession.isRunning ) {
+			return
+		}
 
-			canvas.removeEvent( 'mousemove', target )
-			canvas.removeEvent( 'mousemove', 'resume_button' )
-			canvas.removeEvent( 'mousemove', 'reset_button' )
+		scenes.push( 'pause' )
+	}
 
-			canvas.clear()
-			canvas.render()
+	/**
+	 * @param {SceneContext} scene
+	 */
+	function pauseScreen( scene ) {
+		canvas.getVector( 'overlay' ).setStyle( componentStyles.overlay )
+		canvas.announce( 'Game paused. Press Escape or P to resume.' )
 
-			screenTransition( start )
+		scene.addClickEvent( 'restart_button', () => {
+			scenes.switchTo( 'game' )
 		} )
 
-		canvas.addClickEvent( 'reset_button', ( target ) => {
+		scene.addClickEvent( 'reset_button', () => {
 			gameSession.speed = 0
 			gameSession.interval = baseInterval
 
 			canvas.getText( 'speed' ).setText( `SPEED: 100%` )
 			canvas.getText( 'interval' ).setText( `INTERVAL: ${ gameSession.interval }ms` )
+		} )
 
-			canvas.render()
+		scene.addClickEvent( 'resume_button', () => {
+			scenes.pop()
 		} )
 
-		canvas.addClickEvent( 'resume_button', async( target ) => {
-			gameSession.isPaused = false
+		scene.addKeyBinding( [ 'Escape', 'p' ], () => scenes.pop() )
+		scene.addKeyBinding( 'r', () => scenes.switchTo( 'game' ) )
+	}
 
-			canvas.removeClickEvent( target )
-			canvas.removeClickEvent( 'resume_button' )
-			canvas.removeClickEvent( 'reset_button' )
+	/**
+	 * @param {SceneContext} scene
+	 */
+	function gameOverScreen( scene ) {
+		canvas.getVector( 'overlay' ).setStyle( componentStyles.overlay )
+		canvas.getSprite( 'bug' )
+			.setScale( 0.15, 'combined' )
+			.setPosition( ( canvas.width / 2 ) + 50, ( canvas.height / 2 ) + 50 )
 
-			canvas.removeEvent( 'mousemove', target )
-			canvas.removeEvent( 'mousemove', 'reset_button' )
-			canvas.removeEvent( 'mousemove', 'restart_button' )
+		const clicks = gameSession.hits + gameSession.misses
+		const accuracy = clicks ? Math.round( ( gameSession.hits / clicks ) * 100 ) : 0
 
-			// canvas.render()
-			startLoop()
-		} )
-	}
+		canvas.getText( 'stats' ).setText( [
+			`SCORE: ${ gameSession.hits }`,
+			`MISSES: ${ gameSession.misses }`,
+			`ACCURACY: ${ accuracy }%`,
+			`TOP SPEED: ${ gameSession.hits ? gameSession.speedPct : 100 }%`,
+		].join( '\n' ) )
 
-	function gameOverScreen() {
-		gameSession.isRunning = false
-		gameSession.isPaused = false
+		canvas.announce( `Game over. Score: ${ gameSession.hits }, misses: ${ gameSession.misses }, accuracy: ${ accuracy }%.`, { assertive: true } )
 
-		canvas.removeClickEvent( 'bug_hit_area' )
-		canvas.removeClickEvent( 'pause_hit_area' )
-
-		screenTransition( () => {
-			canvas.getVector( 'pause' ).hide()
-			canvas.getVector( 'pause_hit_area' ).hide()
-			canvas.getVector( 'overlay' ).setStyle( componentStyles.overlay )
-			canvas.getSprite( 'bug' )
-				.setScale( 0.15, 'combined' )
-				.setPosition( ( canvas.width / 2 ) + 50, ( canvas.height / 2 ) + 50 )
-				.show()
-
-			canvas.getText( 'game_over' ).show()
-			const newGame = canvas.getVector( 'new_game_button' ).show()
-			const newGameText = canvas.getText( 'new_game_button_text' ).show()
-
-			canvas.clear()
-			canvas.render()
-
-			const newGameButtonObserver = newMouseLeaveObserver()
-			canvas.addEvent( 'mousemove', 'new_game_button',
-				() => {
-					newGame.saveStyle()
-					newGameText.saveStyle()
-
-					newGame.setStyle( {
-						fillStyle: 'black',
-						strokeStyle: 'black',
-					} )
-
-					newGameText.setStyle( {
-						fillStyle: 'rgb(254, 205, 1)',
-					} )
-
-					canvas.render()
-
-					if ( ! newGameButtonObserver.isObserving ) {
-						newGameButtonObserver.observe( newGame, () => {
-							newGame.revertStyle()
-							newGameText.revertStyle()
-							canvas.render()
-						} )
-					}
-				},
-			)
-
-			setTimeout( () => {
-				canvas.addClickEvent( 'new_game_button', ( target ) => {
-					canvas.removeClickEvent( target )
-					canvas.removeEvent( 'mousemove', target )
-
-					screenTransition( () => {
-						canvas.getText( 'game_over' ).hide()
-						canvas.getVector( 'new_game_button' ).hide()
-						canvas.getText( 'new_game_button_text' ).hide()
-						start()
-					} )
-				} )
-			}, 500 )
-		} )
+		// Prevent clicks meant for the bug from starting a new game right away
+		scene.setTimeout( () => {
+			scene.addClickEvent( 'new_game_button', () => {
+				scenes.switchTo( 'game' )
+			} )
+
+			scene.addKeyBinding( 'r', () => scenes.switchTo( 'game' ) )
+		}, 500 )
 	}
 
 	/**
 	 * Prepare and start a game session.
+	 *
+	 * @param {SceneContext} scene
 	 */
-	function start() {
+	function start( scene ) {
 		gameSession.isRunning = false
 		gameSession.isPaused = false
 		gameSession.hits = 0
@@ -721,48 +723,37 @@ export default async function Game( container, config ) {
 		gameSession.speed = 0
 		gameSession.interval = baseInterval
 
-		canvas.removeEvent( 'mousemove', 'start_button' )
-
-		canvas.getSprite( 'bug' )
-			.setScale( bugScaleFactor, 'combined' )
-			.hide()
+		canvas.getSprite( 'bug' ).setScale( bugScaleFactor, 'combined' )
 
 		canvas.getVector( 'overlay' ).setStyle( { fillStyle: 'rgba(0 0 0 / 0.1)' } )
-		canvas.getText( 'title' ).hide()
-		canvas.getText( 'credit_line' ).hide()
-		canvas.getVector( 'start_button' ).hide()
-		canvas.getText( 'start_button_text' ).hide()
-
-		canvas.getVector( 'restart_button' ).hide()
-		canvas.getText( 'restart_button_text' ).hide()
-		canvas.getVector( 'reset_button' ).hide()
-		canvas.getText( 'reset_button_text' ).hide()
-		canvas.getVector( 'resume_button' ).hide()
-		canvas.getText( 'resume_button_text' ).hide()
-
-		canvas.getText( 'hits' ).setText( `SCORE: 0` ).show()
-		canvas.getText( 'misses' ).setText( `MISSES: 0` ).show()
-		canvas.getText( 'speed' ).setText( `SPEED: 100%` ).show()
-		canvas.getText( 'interval' ).setText( `INTERVAL: ${ Math.round( gameSession.interval ) }ms` ).show()
-		canvas.getText( 'title_top' ).show()
-
-		canvas.render()
-
-		setTimeout( gameLoop, 1000 )
+
+		canvas.getText( 'hits' ).setText( `SCORE: 0` )
+		canvas.getText( 'misses' ).setText( `MISSES: 0` )
+		canvas.getText( 'speed' ).setText( `SPEED: 100%` )
+		canvas.getText( 'interval' ).setText( `INTERVAL: ${ Math.round( gameSession.interval ) }ms` )
+
+		// Pause game if window/tab loses focus
+		scene.addEventListener( window, 'blur', pause )
+
+		scene.addKeyBinding( [ 'Escape', 'p' ], pause )
+		scene.addKeyBinding( 'r', () => scenes.switchTo( 'game' ) )
+
+		canvas.announce( 'Game started. Press Escape or P to pause.' )
+
+		scene.setTimeout( () => gameLoop( scene ), 1000 )
 	}
 
 	/**
 	 * Run and control a game session.
+	 *
+	 * @param {SceneContext} scene
 	 */
-	function gameLoop() {
+	function gameLoop( scene ) {
 		if ( gameSession.isRunning ) {
 			return
 		}
 
-		startWindowFocusOutObserver()
-
 		const bug = canvas.getSprite( 'bug' )
-		const bugHitArea = canvas.getVector( 'bug_hit_area' )
 
 		let loopTimer
 		let round = 0
@@ -783,6 +774,8 @@ export default async function Game( container, config ) {
 			gameSession.speed = logIncrement( gameSession.hits, speedStep, baseInterval, 100 )
 			gameSession.interval -= gameSession.speed
 			gameSession.speedPct = 100 + ( 100 - Math.round( ( gameSession.speed / speedStep ) * 100 ) )
+
+			canvas.announce( `Hit! Score: ${ gameSession.hits }` )
 		}
 
 		/**
@@ -796,13 +789,13 @@ export default async function Game( container, config ) {
 			// Cancel grace period and continue loop
 			if ( showGrace > 1 ) {
 				showGrace = -1
-				clearInterval( graceTimer )
+				scene.clearTimeout( graceTimer )
 			}
 			// Interrupt loop and start grace period
 			else if ( showGrace === 1 ) {
 				showGrace = 2
 
-				graceTimer = setTimeout( () => {
+				graceTimer = scene.setTimeout( () => {
 					// Call next loop when grace period expires, unless aborted in the meantime
 					if ( showGrace ) {
 						loop()
@@ -811,116 +804,103 @@ export default async function Game( container, config ) {
 				return
 			}
 
-			loopTimer = setTimeout( loop, gameSession.interval )
+			loopTimer = scene.setTimeout( loop, gameSession.interval )
 
 			bug.show().setPosition()
-			bugHitArea.show().setPosition( bug.x, bug.y )
-
-			canvas.clear()
-			canvas.render()
 
 			showGrace = 0
 			round++
 
 			if ( round >= maxRounds || gameSession.misses >= maxMisses ) {
-				clearInterval( loopTimer )
-				gameSession.isRunning = false
-				gameOverScreen()
+				gameOver()
 			}
 		}
 
-		/**
-		 * Start or resume game loop.
-		 */
-		startLoop = () => {
-			canvas.getVector( 'overlay' ).setStyle( { fillStyle: 'rgba(0 0 0 / 0.1)' } )
-			canvas.getVector( 'restart_button' ).hide()
-			canvas.getText( 'restart_button_text' ).hide()
-			canvas.getVector( 'reset_button' ).hide()
-			canvas.getText( 'reset_button_text' ).hide()
-			canvas.getVector( 'resume_button' ).hide()
-			canvas.getText( 'resume_button_text' ).hide()
-			canvas.getVector( 'pause' ).show()
-			canvas.getVector( 'pause_hit_area' ).show()
-
-			canvas.getSprite( 'bug' ).show()
-			canvas.getVector( 'bug_hit_area' ).show()
-
-			canvas.clear()
-			canvas.render()
-
-			canvas.addClickEvent( 'bug_hit_area',
-				( target ) => {
-					clearTimeout( loopTimer )
-
-					bugHitHandler()
-
-					canvas.getText( 'hits' ).setText( `SCORE: ${ gameSession.hits }` )
-					canvas.getText( 'speed' ).setText( `SPEED: ${ gameSession.speedPct }%` )
-					canvas.getText( 'interval' ).setText( `INTERVAL: ${ Math.round( gameSession.interval ) }ms` )
-					target.setStyle( componentStyles.bugHit )
-
-					canvas.animate( 'hit_animation', 1000, ( { frameCoefficient } ) => {
-						const opacity = 1 - frameCoefficient
-
-						target.setStyle( {
-							fillStyle: `rgba(255 0 0 / ${ opacity })`,
-							strokeStyle: `rgba(255 0 0 / ${ opacity })`,
-							shadowColor: `rgba(255 0 0 / ${ opacity })`,
-						} )
-					} )
-
-					loop()
-				},
-
-				// Capture clicks outside the bug
-				( target ) => {
-					gameSession.misses++
-					canvas.getText( 'misses' ).setText( `MISSES: ${ gameSession.misses }` )
-
-					if ( gameSession.misses >= maxMisses && gameSession.isRunning ) {
-						canvas.removeClickEvent( target )
-						gameOverScreen()
-					}
-					else {
-						canvas.render()
+		const gameOver = () => {
+			scene.clearTimeout( loopTimer )
+			gameSession.isRunning = false
+			scenes.switchTo( 'game_over' )
+		}
+
+		scene.addClickEvent( 'bug',
+			( target, e ) => {
+				scene.clearTimeout( loopTimer )
+
+				bugHitHandler()
+
+				canvas.getText( 'hits' ).setText( `SCORE: ${ gameSession.hits }` )
+				canvas.getText( 'speed' ).setText( `SPEED: ${ gameSession.speedPct }%` )
+				canvas.getText( 'interval' ).setText( `INTERVAL: ${ Math.round( gameSession.interval ) }ms` )
+				// Restart the hit effect if the previous one is still running
+				canvas.cancelComponentAnimations( target )
+				target.setStyle( componentStyles.bugHit )
+
+				bug.play( 'squash' ).then( ( isComplete ) => {
+					if ( isComplete ) {
+						bug.play( 'fly' )
 					}
-				},
-			)
+				} )
+
+				canvas.tween( target, {
+					fillStyle: 'rgba(255 0 0 / 0)',
+					strokeStyle: 'rgba(255 0 0 / 0)',
+					shadowColor: 'rgba(255 0 0 / 0)',
+				}, { duration: 1000, easing: 'easeOutCubic' } )
+
+				loop()
+			},
 
-			canvas.addEvent( 'mousemove', 'bug_hit_area', () => {
-				// Enable grace period, but only if grace is available/not active
-				if ( ! showGrace ) {
-					showGrace = 1
+			// Capture clicks outside the bug
+			() => {
+				gameSession.misses++
+				canvas.getText( 'misses' ).setText( `MISSES: ${ gameSession.misses }` )
+				canvas.announce( `Missed! ${ gameSession.misses } of ${ maxMisses } misses` )
+
+				if ( gameSession.misses >= maxMisses && gameSession.isRunning ) {
+					gameOver()
 				}
-			} )
+			},
+		)
 
-			canvas.addClickEvent( 'pause_hit_area', ( target ) => {
-				clearTimeout( loopTimer )
-				canvas.removeClickEvent( target )
-				pauseScreen()
-			} )
+		scene.addEvent( 'mousemove', 'bug', () => {
+			// Enable grace period, but only if grace is available/not active
+			if ( ! showGrace ) {
+				showGrace = 1
+			}
+		} )
 
-			const pauseButtonObserver = newMouseLeaveObserver()
-			canvas.addEvent( 'mousemove', 'pause_hit_area',
-				( target ) => {
-					canvas.getVector( 'pause' ).setStyle( {
-						fillStyle: 'rgb(254, 205, 11)',
-						lineWidth: 4,
-					} )
-					canvas.render()
-
-					if ( ! pauseButtonObserver.isObserving ) {
-						pauseButtonObserver.observe( target, () => {
-							canvas.getVector( 'pause' ).setStyle( {
-								fillStyle: 'white',
-								lineWidth: 2,
-							} )
-							canvas.render()
-						} )
-					}
-				},
-			)
+		scene.addClickEvent( 'pause_button', ( target, e ) => {
+			// The pause button may cover the bug
+			e.stopPropagation()
+			pause()
+		} )
+
+		addHoverEvents( scene, 'pause_button',
+			() => {
+				canvas.getVector( 'pause' ).setStyle( {
+					fillStyle: 'rgb(254, 205, 11)',
+					lineWidth: 4,
+				} )
+			},
+			() => {
+				canvas.getVector( 'pause' ).setStyle( {
+					fillStyle: 'white',
+					lineWidth: 2,
+				} )
+			},
+		)
+
+		stopLoop = () => {
+			scene.clearTimeout( loopTimer )
+			scene.clearTimeout( graceTimer )
+		}
+
+		startLoop = () => {
+			canvas.getVector( 'overlay' ).setStyle( { fillStyle: 'rgba(0 0 0 / 0.1)' } )
+			canvas.getVector( 'pause' ).setStyle( { fillStyle: 'white', lineWidth: 2 } )
+			canvas.getGroup( 'pause_control' ).show()
+
+			bug.show()
 
 			gameSession.isRunning = true
 			loop()
@@ -930,36 +910,15 @@ export default async function Game( container, config ) {
 	}
 
 	/**
-	 * Pause game if window/tab loses focus.
-	 */
-	function startWindowFocusOutObserver() {
-		window.addEventListener( 'blur', () => {
-			pauseScreen()
-		} )
-	}
-
-	/**
-	 * Detect when the mouse leaves a canvas vector.
+	 * Add mouse hover effect to a canvas vector or group.
 	 *
-	 * Checks the mouse position on a small interval.
+	 * @param {SceneContext} scene
+	 * @param {Parameters<typeof canvas.addEvent>[1]} target
+	 * @param {Parameters<typeof canvas.addEvent>[2]} onMouseEnter
+	 * @param {Parameters<typeof canvas.addEvent>[2]} onMouseLeave
 	 */
-	function newMouseLeaveObserver() {
-		let mouseoutTimer
-		return {
-			get isObserving() {
-				return mouseoutTimer !== undefined
-			},
-			observe( target, callback ) {
-				mouseoutTimer = setInterval( () => {
-					const [ x, y ] = canvas.mousePosition
-
-					if ( ! target.isPointInPath( x, y ) ) {
-						callback()
-						clearInterval( mouseoutTimer )
-						mouseoutTimer = undefined
-					}
-				}, 20 )
-			},
-		}
+	function addHoverEvents( scene, target, onMouseEnter, onMouseLeave ) {
+		scene.addEvent( 'mouseenter', target, onMouseEnter )
+		scene.addEvent( 'mouseleave', target, onMouseLeave )
 	}
 }
@@ -0,0 +1,467 @@
+/**
+ * @typedef {ReturnType<typeof import('./canvas.js').default>} CanvasController
+ */
+
+/**
+ * @typedef SceneDefinition
+ * @property {string[]} [components] Names of components that are shown when the scene is entered, and hidden when it exits.
+ * @property {(scene: SceneContext, data: any) => void | Promise<void>} [enter] Called when the scene is added to the stack.
+ * @property {(scene: SceneContext) => void | Promise<void>} [exit] Called when the scene is removed from the stack, before its events, timers and listeners are removed.
+ * @property {(scene: SceneContext) => void} [pause] Called when another scene is pushed on top of the scene.
+ * @property {(scene: SceneContext, data: any) => void} [resume] Called when the scene is on top of the stack again.
+ */
+
+/**
+ * Transition between scenes, e.g. a fade to black. Must call `changeScenes` once, when the screen is ready to change.
+ *
+ * A transition that returns a promise (e.g. a timeline) is complete when the promise settles. If it has not called `changeScenes` by then, the scenes are changed anyway.
+ *
+ * @typedef {(changeScenes: () => Promise<void>) => void | Promise<any>} SceneTransition
+ */
+
+/**
+ * @typedef {ReturnType<typeof Scene>[0]} SceneContext
+ */
+
+/**
+ * Scene manager.
+ *
+ * Scenes are kept on a stack. The top scene receives canvas events, while scenes below it (e.g. gameplay under a pause menu) are still rendered, but their events are suspended.
+ *
+ * Scene changes are queued, so a change never starts before the previous one (including its transition) is complete.
+ *
+ * @param {CanvasController} canvas
+ * @param {{transition?: SceneTransition}} options `transition`: Default transition used by `switchTo()`.
+ */
+export default function SceneManager( canvas, { transition = undefined } = {} ) {
+	/** @type {{[sceneName: string]: SceneDefinition}} */
+	const scenes = {}
+
+	/**
+	 * Active scenes, bottom first.
+	 *
+	 * @type {{name: string, definition: SceneDefinition, scene: SceneContext, controls: ReturnType<typeof Scene>[1]}[]}
+	 */
+	const stack = []
+
+	/** @type {Promise<void>} */
+	let queue = Promise.resolve()
+
+	let defaultTransition = transition
+
+	/**
+	 * Run a scene change after the previously queued changes are complete.
+	 *
+	 * @param {() => Promise<void>} change
+	 * @param {SceneTransition} sceneTransition
+	 */
+	function queueChange( change, sceneTransition ) {
+		queue = queue.then( () => new Promise( ( resolve ) => {
+			// Stop the current scene from reacting to input while the transition is running
+			stack[ stack.length - 1 ]?.controls.suspend()
+
+			/** @type {Promise<void>} */
+			let changing
+
+			const changeScenes = () => {
+				changing ??= ( async() => {
+					try {
+						await change()
+					}
+					catch ( err ) {
+						console.error( err )
+					}
+
+					stack[ stack.length - 1 ]?.controls.resume()
+					resolve()
+				} )()
+
+				return changing
+			}
+
+			if ( typeof sceneTransition !== 'function' ) {
+				changeScenes()
+				return
+			}
+
+			// A broken transition must not stop this and later scene changes
+			const changeScenesAfterError = ( err ) => {
+				console.error( err )
+				changeScenes()
+			}
+
+			try {
+				const result = sceneTransition( changeScenes )
+
+				if ( result instanceof Promise ) {
+					result.then( () => {
+						if ( ! changing ) {
+							changeScenesAfterError( 'Scene error: transition completed without changing scenes.' )
+						}
+					}, changeScenesAfterError )
+				}
+			}
+			catch ( err ) {
+				changeScenesAfterError( err )
+			}
+		} ) ).catch( ( err ) => console.error( err ) )
+
+		return queue
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {any} data
+	 */
+	async function enterScene( name, data ) {
+		const definition = scenes[ name ]
+		const [ scene, controls ] = Scene( name, canvas )
+
+		stack.push( { name, definition, scene, controls } )
+
+		getComponents( definition ).forEach( ( component ) => component.show() )
+
+		if ( typeof definition.enter === 'function' ) {
+			await definition.enter( scene, data )
+		}
+	}
+
+	async function exitScene() {
+		const { definition, scene, controls } = stack.pop()
+
+		controls.suspend()
+
+		if ( typeof definition.exit === 'function' ) {
+			await definition.exit( scene )
+		}
+
+		controls.dispose()
+
+		// Components shared with scenes that are still active stay visible
+		const remaining = new Set( stack.flatMap( ( entry ) => getComponents( entry.definition ) ) )
+
+		getComponents( definition )
+			.filter( ( component ) => ! remaining.has( component ) )
+			.forEach( ( component ) => component.hide() )
+	}
+
+	/**
+	 * @param {SceneDefinition} definition
+	 */
+	function getComponents( definition ) {
+		return ( definition.components ?? [] ).flatMap( ( componentName ) => {
+			const component = canvas.findComponent( componentName )
+
+			if ( ! component ) {
+				console.error( `Scene error: component not found (${ componentName }).` )
+				return []
+			}
+
+			return [ component ]
+		} )
+	}
+
+	/**
+	 * @param {string} name
+	 */
+	function hasScene( name ) {
+		if ( ! ( name in scenes ) ) {
+			console.error( `Scene error: scene not found (${ name }).` )
+			return false
+		}
+
+		return true
+	}
+
+	const api = {
+		/**
+		 * Name of the scene on top of the stack.
+		 */
+		get current() {
+			return stack[ stack.length - 1 ]?.name
+		},
+
+		/**
+		 * Names of the active scenes, bottom first.
+		 */
+		get stack() {
+			return stack.map( ( { name } ) => name )
+		},
+
+		/**
+		 * @param {string} name
+		 * @param {SceneDefinition} definition
+		 */
+		addScene( name, definition ) {
+			scenes[ name ] = definition
+			return this
+		},
+
+		/**
+		 * Set the default transition used by `switchTo()`.
+		 *
+		 * @param {SceneTransition} sceneTransition
+		 */
+		setTransition( sceneTransition ) {
+			defaultTransition = sceneTransition
+			return this
+		},
+
+		/**
+		 * Exit all active scenes and enter a new scene.
+		 *
+		 * @param {string} name
+		 * @param {any} data Passed to the `enter` hook.
+		 * @param {{transition?: SceneTransition}} options `transition`: Overrides the default transition. Use `null` for no transition.
+		 */
+		switchTo( name, data = undefined, { transition: sceneTransition = defaultTransition } = {} ) {
+			if ( ! hasScene( name ) ) {
+				return queue
+			}
+
+			return queueChange( async() => {
+				while ( stack.length ) {
+					await exitScene()
+				}
+
+				await enterScene( name, data )
+			}, sceneTransition )
+		},
+
+		/**
+		 * Enter a scene on top of the current scene, which is paused until the new scene is popped.
+		 *
+		 * @param {string} name
+		 * @param {any} data Passed to the `enter` hook.
+		 * @param {{transition?: SceneTransition}} options
+		 */
+		push( name, data = undefined, { transition: sceneTransition = undefined } = {} ) {
+			if ( ! hasScene( name ) ) {
+				return queue
+			}
+
+			return queueChange( async() => {
+				const { definition, scene } = stack[ stack.length - 1 ] ?? {}
+
+				if ( typeof definition?.pause === 'function' ) {
+					definition.pause( scene )
+				}
+
+				await enterScene( name, data )
+			}, sceneTransition )
+		},
+
+		/**
+		 * Exit the top scene and resume the scene below it.
+		 *
+		 * @param {any} data Passed to the `resume` hook of the scene below.
+		 * @param {{transition?: SceneTransition}} options
+		 */
+		pop( data = undefined, { transition: sceneTransition = undefined } = {} ) {
+			return queueChange( async() => {
+				if ( ! stack.length ) {
+					return
+				}
+
+				await exitScene()
+
+				const { definition, scene } = stack[ stack.length - 1 ] ?? {}
+
+				if ( typeof definition?.resume === 'function' ) {
+					definition.resume( scene, data )
+				}
+			}, sceneTransition )
+		},
+	}
+
+	return api
+}
+
+/**
+ * Resources owned by an active scene. Canvas events, key bindings, timers and DOM event listeners registered through the scene are removed when it exits.
+ *
+ * Canvas events and key bindings are also suspended while another scene is on top. Timers and DOM event listeners keep running; use the `pause` hook to stop them.
+ *
+ * Returns the scene context passed to scene hooks, and controls used by the scene manager.
+ *
+ * @param {string} name
+ * @param {CanvasController} canvas
+ */
+function Scene( name, canvas ) {
+	/**
+	 * Canvas events and key bindings. `register` adds the event to the canvas, and returns a function that removes it.
+	 *
+	 * @type {{register: () => () => void, remove: () => void}[]}
+	 */
+	const events = []
+
+	/** @type {Set<ReturnType<typeof setTimeout>>} */
+	const timeouts = new Set()
+
+	/** @type {Set<ReturnType<typeof setInterval>>} */
+	const intervals = new Set()
+
+	/** @type {(() => void)[]} */
+	const cleanups = []
+
+	let isSuspended = false
+
+	const scene = {
+		get name() {
+			return name
+		},
+
+		/**
+		 * Add canvas event listener (see `Canvas.addEvent()`).
+		 *
+		 * Returns function that removes the listener.
+		 *
+		 * @param {Parameters<CanvasController['addEvent']>} args
+		 */
+		addEvent( ...args ) {
+			return addRegistration( () => canvas.addEvent( ...args ) )
+		},
+
+		/**
+		 * @param {Parameters<CanvasController['addClickEvent']>} args
+		 */
+		addClickEvent( ...args ) {
+			return this.addEvent( 'click', ...args )
+		},
+
+		/**
+		 * Add key binding (see `Canvas.addKeyBinding()`).
+		 *
+		 * Returns function that removes the key binding.
+		 *
+		 * @param {Parameters<CanvasController['addKeyBinding']>} args
+		 */
+		addKeyBinding( ...args ) {
+			return addRegistration( () => canvas.addKeyBinding( ...args ) )
+		},
+
+		/**
+		 * @param {() => void} callback
+		 * @param {number} ms
+		 */
+		setTimeout( callback, ms ) {
+			const timer = setTimeout( () => {
+				timeouts.delete( timer )
+				callback()
+			}, ms )
+
+			timeouts.add( timer )
+
+			return timer
+		},
+
+		/**
+		 * @param {ReturnType<typeof setTimeout>} timer
+		 */
+		clearTimeout( timer ) {
+			clearTimeout( timer )
+			timeouts.delete( timer )
+		},
+
+		/**
+		 * @param {() => void} callback
+		 * @param {number} ms
+		 */
+		setInterval( callback, ms ) {
+			const timer = setInterval( callback, ms )
+			intervals.add( timer )
+
+			return timer
+		},
+
+		/**
+		 * @param {ReturnType<typeof setInterval>} timer
+		 */
+		clearInterval( timer ) {
+			clearInterval( timer )
+			intervals.delete( timer )
+		},
+
+		/**
+		 * Add DOM event listener, e.g. to `window` or `document`.
+		 *
+		 * @param {EventTarget} target
+		 * @param {string} type
+		 * @param {EventListenerOrEventListenerObject} listener
+		 * @param {boolean | AddEventListenerOptions} options
+		 */
+		addEventListener( target, type, listener, options = undefined ) {
+			target.addEventListener( type, listener, options )
+			cleanups.push( () => target.removeEventListener( type, listener, options ) )
+		},
+
+		/**
+		 * Execute a function when the scene exits.
+		 *
+		 * @param {() => void} cleanup
+		 */
+		addCleanup( cleanup ) {
+			cleanups.push( cleanup )
+		},
+	}
+
+	/**
+	 * Add a canvas event or key binding, which is only registered with the canvas while the scene is not suspended.
+	 *
+	 * @param {() => () => void} register
+	 */
+	function addRegistration( register ) {
+		const registration = { register, remove: isSuspended ? undefined : register() }
+
+		events.push( registration )
+
+		return () => {
+			registration.remove?.()
+
+			if ( events.includes( registration ) ) {
+				events.splice( events.indexOf( registration ), 1 )
+			}
+		}
+	}
+
+	const controls = {
+		/**
+		 * Remove canvas events and key bindings, but keep them registered so they can be resumed.
+		 */
+		suspend() {
+			isSuspended = true
+
+			events.forEach( ( registration ) => {
+				registration.remove?.()
+				registration.remove = undefined
+			} )
+		},
+
+		resume() {
+			if ( ! isSuspended ) {
+				return
+			}
+
+			isSuspended = false
+
+			events.forEach( ( registration ) => {
+				registration.remove = registration.register()
+			} )
+		},
+
+		dispose() {
+			controls.suspend()
+			events.length = 0
+
+			timeouts.forEach( ( timer ) => clearTimeout( timer ) )
+			timeouts.clear()
+
+			intervals.forEach( ( timer ) => clearInterval( timer ) )
+			intervals.clear()
+
+			cleanups.splice( 0 ).forEach( ( cleanup ) => cleanup() )
+		},
+	}
+
+	return /** @type {const} */ ( [ scene, controls ] )
+}
@@ -0,0 +1,116 @@
+/**
+ * Easing functions. Each function maps the elapsed fraction of an animation (0-1) to the progress of the animated value.
+ *
+ * Elastic curves overshoot, i.e. return values below 0 or above 1 before settling.
+ */
+export const EASINGS = {
+	linear: ( t ) => t,
+
+	easeIn: ( t ) => t * t,
+	easeOut: ( t ) => t * ( 2 - t ),
+	easeInOut: ( t ) => ( t < 0.5 ? 2 * t * t : 1 - ( ( ( ( -2 * t ) + 2 ) ** 2 ) / 2 ) ),
+
+	easeInCubic: ( t ) => t ** 3,
+	easeOutCubic: ( t ) => 1 - ( ( 1 - t ) ** 3 ),
+	easeInOutCubic: ( t ) => ( t < 0.5 ? 4 * ( t ** 3 ) : 1 - ( ( ( ( -2 * t ) + 2 ) ** 3 ) / 2 ) ),
+
+	easeInElastic: ( t ) => {
+		if ( t === 0 || t === 1 ) {
+			return t
+		}
+
+		return -( 2 ** ( ( 10 * t ) - 10 ) ) * Math.sin( ( ( t * 10 ) - 10.75 ) * ( ( 2 * Math.PI ) / 3 ) )
+	},
+	easeOutElastic: ( t ) => {
+		if ( t === 0 || t === 1 ) {
+			return t
+		}
+
+		return ( ( 2 ** ( -10 * t ) ) * Math.sin( ( ( t * 10 ) - 0.75 ) * ( ( 2 * Math.PI ) / 3 ) ) ) + 1
+	},
+
+	easeInBounce: ( t ) => 1 - EASINGS.easeOutBounce( 1 - t ),
+	easeOutBounce: ( t ) => {
+		const n = 7.5625
+		const d = 2.75
+
+		if ( t < 1 / d ) {
+			return n * t * t
+		}
+		else if ( t < 2 / d ) {
+			return ( n * ( ( t -= 1.5 / d ) * t ) ) + 0.75
+		}
+		else if ( t < 2.5 / d ) {
+			return ( n * ( ( t -= 2.25 / d ) * t ) ) + 0.9375
+		}
+
+		return ( n * ( ( t -= 2.625 / d ) * t ) ) + 0.984375
+	},
+	easeInOutBounce: ( t ) => ( t < 0.5
+		? ( 1 - EASINGS.easeOutBounce( 1 - ( 2 * t ) ) ) / 2
+		: ( 1 + EASINGS.easeOutBounce( ( 2 * t ) - 1 ) ) / 2 ),
+}
+
+/**
+ * Context used to normalize CSS colors.
+ *
+ * @type {CanvasRenderingContext2D}
+ */
+let colorContext
+
+/**
+ * Convert a CSS color value (named colors, hex, `rgb()`, `hsl()`, etc.) to RGBA channels.
+ *
+ * Returns `undefined` if the value is not a valid color.
+ *
+ * @param {string} color
+ * @return {[number, number, number, number]}
+ */
+export function parseColor( color ) {
+	colorContext ??= document.createElement( 'canvas' ).getContext( '2d' )
+
+	// Invalid colors are ignored when assigned, so use two different fallbacks to detect them
+	colorContext.fillStyle = '#000'
+	colorContext.fillStyle = color
+	const first = colorContext.fillStyle
+	colorContext.fillStyle = '#fff'
+	colorContext.fillStyle = color
+
+	if ( first !== colorContext.fillStyle ) {
+		return undefined
+	}
+
+	// The context serializes colors as `#rrggbb`, or `rgba(r, g, b, a)` if they are transparent
+	if ( first.startsWith( '#' ) ) {
+		const [ r, g, b ] = [ 1, 3, 5 ].map( ( i ) => parseInt( first.slice( i, i + 2 ), 16 ) )
+		return [ r, g, b, 1 ]
+	}
+
+	const channels = first.match( /[\d.]+/g ).map( Number )
+	return [ channels[ 0 ], channels[ 1 ], channels[ 2 ], channels[ 3 ] ?? 1 ]
+}
+
+/**
+ * Create a function that returns the color at a given point between two CSS colors.
+ *
+ * Returns `undefined` if either value is not a valid color.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @return {(t: number) => string}
+ */
+export function interpolateColor( from, to ) {
+	const start = parseColor( from )
+	const end = parseColor( to )
+
+	if ( ! start || ! end ) {
+		return undefined
+	}
+
+	return ( t ) => {
+		const [ r, g, b, a ] = start.map( ( value, i ) => value + ( ( end[ i ] - value ) * t ) )
+		const clamp = ( value, max ) => Math.min( Math.max( value, 0 ), max )
+
+		return `rgba(${ Math.round( clamp( r, 255 ) ) } ${ Math.round( clamp( g, 255 ) ) } ${ Math.round( clamp( b, 255 ) ) } / ${ clamp( a, 1 ) })`
+	}
+}
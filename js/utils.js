@@ -10,13 +10,29 @@ export function delay( ms ) {
 	}, ms ) )
 }
 
+/**
+ * Fetch file. Rejects if the server responds with an error status (e.g. 404).
+ *
+ * @param {string} url
+ * @param {RequestInit} options
+ */
+export async function fetchFile( url, options = undefined ) {
+	const response = await fetch( url, options )
+
+	if ( ! response.ok ) {
+		throw new Error( `Failed to load ${ url } (${ response.status } ${ response.statusText })` )
+	}
+
+	return response
+}
+
 /**
  * Read and parse JSON file.
  *
  * @param {string} url
  */
 export async function importJson( url ) {
-	return fetch( url )
+	return fetchFile( url )
 		.then( ( response ) => response.json() )
 }
 
@@ -26,12 +42,58 @@ export async function importJson( url ) {
  * @param {string} url
  */
 export async function loadFile( url ) {
-	return fetch( url )
+	return fetchFile( url )
 		.then( ( response ) => {
 			return response.text()
 		} )
 }
 
+/**
+ * Load image. Rejects if the image can not be loaded or decoded.
+ *
+ * @param {string} src URL or data URL
+ * @return {Promise<HTMLImageElement>}
+ */
+export function loadImage( src ) {
+	return new Promise( ( resolve, reject ) => {
+		const img = new Image()
+
+		img.onload = () => resolve( img )
+		img.onerror = () => reject( new Error( `Failed to load image ${ src.startsWith( 'data:' ) ? '(data URL)' : src }` ) )
+		img.src = src
+	} )
+}
+
+/**
+ * Load a font, so it can be used by canvas texts. Rejects if the font can not be loaded.
+ *
+ * Without a URL, the regular face of a font declared in CSS (`@font-face`, e.g. from a font service stylesheet) is loaded. With a URL, the font file is added to the document when it has loaded.
+ *
+ * @param {string} family
+ * @param {string} url URL of font file
+ * @param {FontFaceDescriptors} descriptors
+ * @return {Promise<FontFace>}
+ */
+export async function loadFontFace( family, url = undefined, descriptors = undefined ) {
+	if ( ! url ) {
+		const [ font ] = await document.fonts.load( `16px "${ family }"` )
+
+		if ( ! font ) {
+			throw new Error( `Font not declared in CSS (${ family })` )
+		}
+
+		return font
+	}
+
+	const font = new FontFace( family, `url(${ url })`, descriptors )
+
+	await font.load()
+	// @ts-ignore
+	document.fonts.add( font )
+
+	return font
+}
+
 /**
  * Read contents of SVG file and return as data URL.
  *